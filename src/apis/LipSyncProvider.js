@@ -0,0 +1,334 @@
+/**
+ * LipSyncProvider.js
+ * Base class for lip-sync backends (Sync.so, local mock, ...)
+ * Providers implement submit/poll/download/cancel; the shared generation and batch flow lives here
+ */
+
+import fs from 'fs-extra';
+import { hashGenerationInputs } from '../services/ContentHash.js';
+import { RetryPolicy } from '../services/RetryPolicy.js';
+import { JobScheduler } from '../services/JobScheduler.js';
+
+const FAILED_STATUSES = ['FAILED', 'REJECTED', 'CANCELED'];
+
+export class LipSyncProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy(options);
+    this.journal = null; // Optional GenerationJournal, set by VideoGenerator
+  }
+
+  /**
+   * Submit a generation job
+   * @param {Object} params - Same shape as generateLipSync params
+   * @returns {Promise<{id: string}>} Generation handle
+   */
+  async submit(params) {
+    throw new Error(`${this.name} provider does not implement submit()`);
+  }
+
+  /**
+   * Fetch the current state of a generation
+   * @returns {Promise<{id: string, status: string, outputUrl?: string, error?: string}>}
+   * Status is one of PENDING, PROCESSING, COMPLETED, FAILED, REJECTED, CANCELED
+   */
+  async poll(generationId) {
+    throw new Error(`${this.name} provider does not implement poll()`);
+  }
+
+  /**
+   * Download (or locate) the output of a completed generation
+   * @returns {Promise<string>} Local path to the lip-synced video
+   */
+  async download(generation, segment) {
+    throw new Error(`${this.name} provider does not implement download()`);
+  }
+
+  /**
+   * Cancel a running generation
+   */
+  async cancel(generationId) {
+    throw new Error(`${this.name} provider does not implement cancel()`);
+  }
+
+  /**
+   * Check provider availability
+   */
+  async checkStatus() {
+    return { provider: this.name };
+  }
+
+  /**
+   * Release any remote resources created during the run
+   */
+  async cleanup() {}
+
+  /**
+   * Settings that shape this provider's output, hashed into cache keys and journal entries
+   * so a change to any of them never reuses a result made with the old ones
+   * @param {Object} options - Per-run generation options
+   */
+  getGenerationSettings(options = {}) {
+    return { ...options };
+  }
+
+  /**
+   * Generate lip-sync video for a character video and audio segment
+   * @param {Object} params - Generation parameters
+   * @param {string} params.characterVideoPath - Path to character video file
+   * @param {string} params.audioPath - Path to audio file
+   * @param {Object} params.segment - Audio segment info (startTime, endTime, etc.)
+   * @param {Object} params.options - Additional generation options
+   * @param {Object} params.inputHashes - Content hashes of the inputs, recorded in the journal
+   */
+  async generateLipSync(params) {
+    const { characterVideoPath, audioPath, segment, inputHashes = null } = params;
+
+    try {
+      await this.validateInputs(characterVideoPath, audioPath);
+
+      console.log(`Generating lip-sync for ${segment.speaker} (${segment.duration}s) via ${this.name}...`);
+
+      const generation = await this.submit(params);
+      console.log(`Generation submitted: ${generation.id}`);
+
+      if (this.journal) {
+        await this.journal.record({
+          segmentId: segment.id,
+          provider: this.name,
+          generationId: generation.id,
+          inputHashes,
+          characterVideoPath,
+          audioPath
+        });
+      }
+
+      return await this.waitForCompletion(generation.id, segment);
+
+    } catch (error) {
+      console.error(`Lip-sync error for segment ${segment.id}:`, error.message);
+      throw new Error(`Failed to generate lip-sync: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Validate input files exist and are readable
+   */
+  async validateInputs(videoPath, audioPath) {
+    if (!await fs.pathExists(videoPath)) {
+      throw new Error(`Character video not found: ${videoPath}`);
+    }
+
+    if (!await fs.pathExists(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+  }
+
+  /**
+   * Delay before the next status check - progressive backoff
+   */
+  getPollDelay(attempt) {
+    return Math.min(2000 + (attempt * 1000), 10000);
+  }
+
+  /**
+   * Wait for generation to complete and download result
+   * Transient poll errors back off and retry; failed generations and permanent errors stop immediately,
+   * and the whole wait is bounded by the retry policy's wall-clock timeout
+   */
+  async waitForCompletion(generationId, segment) {
+    console.log(`Waiting for completion: ${generationId}...`);
+
+    const { timeout, maxRetries } = this.retryPolicy;
+    const deadline = Date.now() + timeout;
+    let lastStatus = null;
+    let consecutiveErrors = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      if (Date.now() > deadline) {
+        throw RetryPolicy.permanent(
+          `Gave up waiting for generation ${generationId} after ${Math.round(timeout / 1000)}s wall-clock timeout (last status: ${lastStatus || 'unknown'})`
+        );
+      }
+
+      let generation;
+      try {
+        generation = await this.poll(generationId);
+        consecutiveErrors = 0;
+      } catch (error) {
+        if (!RetryPolicy.isTransient(error)) {
+          throw this.retryPolicy.giveUp(`polling generation ${generationId}`, attempt + 1, 'permanent error', error);
+        }
+        if (++consecutiveErrors > maxRetries) {
+          throw this.retryPolicy.giveUp(
+            `polling generation ${generationId}`, attempt + 1, `${consecutiveErrors} consecutive poll errors`, error
+          );
+        }
+
+        const delay = this.retryPolicy.getDelay(consecutiveErrors - 1, error);
+        this.retryPolicy.notifyRateLimit(error, delay);
+        console.warn(`⚠️  Poll failed for ${generationId} (${RetryPolicy.describe(error)}), retrying in ${(delay / 1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // Log status every 10 checks instead of every check
+      if (attempt % 10 === 0 || generation.status !== 'PROCESSING') {
+        const elapsed = Math.round((timeout - (deadline - Date.now())) / 1000);
+        console.log(`📊 Status check ${attempt + 1} (${elapsed}s): ${generation.status || 'Unknown'}`);
+      }
+
+      if (generation.status !== lastStatus && generation.status !== 'COMPLETED') {
+        lastStatus = generation.status;
+        await this.updateJournal(generationId, { status: generation.status, error: generation.error || null });
+      }
+
+      if (generation.status === 'COMPLETED') {
+        console.log(`✅ Generation completed: ${generationId}`);
+
+        const outputPath = await this.retryPolicy.run(
+          `downloading generation ${generationId}`,
+          () => this.download(generation, segment)
+        );
+        await this.updateJournal(generationId, { status: 'COMPLETED', outputPath });
+
+        return this.buildResult(segment, generationId, outputPath);
+
+      } else if (FAILED_STATUSES.includes(generation.status)) {
+        throw RetryPolicy.permanent(
+          `Generation ${generationId} ${generation.status.toLowerCase()}: ${generation.error || 'Unknown error'}`
+        );
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.getPollDelay(attempt)));
+    }
+  }
+
+  /**
+   * Build the per-segment result returned to VideoGenerator
+   */
+  buildResult(segment, generationId, outputPath, extra = {}) {
+    return {
+      segmentId: segment.id,
+      speaker: segment.speaker,
+      videoPath: outputPath,
+      duration: segment.duration,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      generationId: generationId,
+      provider: this.name,
+      ...extra
+    };
+  }
+
+  async updateJournal(generationId, fields) {
+    if (this.journal) {
+      await this.journal.update(generationId, fields);
+    }
+  }
+
+  /**
+   * Re-attach to a journaled generation for this segment instead of resubmitting it
+   * Returns null when there is nothing usable to resume
+   */
+  async resumeGeneration(segment, inputHashes) {
+    const entry = this.journal.findGeneration(segment.id, this.name, inputHashes);
+
+    if (!entry || FAILED_STATUSES.includes(entry.status)) {
+      return null;
+    }
+
+    if (entry.status === 'COMPLETED' && entry.outputPath && await fs.pathExists(entry.outputPath)) {
+      console.log(`♻️  Reusing completed generation ${entry.generationId} for ${segment.id}`);
+      return this.buildResult(segment, entry.generationId, entry.outputPath, { resumed: true });
+    }
+
+    console.log(`🔁 Re-attaching to generation ${entry.generationId} for ${segment.id} (${entry.status})`);
+    try {
+      // Check once before polling in earnest - the provider may have dropped or failed the job meanwhile
+      const generation = await this.poll(entry.generationId);
+      if (FAILED_STATUSES.includes(generation.status)) {
+        await this.updateJournal(entry.generationId, { status: generation.status, error: generation.error || null });
+        console.warn(`⚠️  Generation ${entry.generationId} is ${generation.status.toLowerCase()}, resubmitting`);
+        return null;
+      }
+
+      const result = await this.waitForCompletion(entry.generationId, segment);
+      return { ...result, resumed: true };
+    } catch (error) {
+      console.warn(`⚠️  Could not resume ${entry.generationId}, resubmitting: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Generate all segments, keeping up to `concurrency` jobs in flight
+   * Each job (upload, submit, poll, download) starts as soon as a slot frees up
+   * @param {Object} options - { concurrency, generationOptions, resume }
+   */
+  async generateBatch(segments, characterMatcher, options = {}) {
+    const scheduler = new JobScheduler({ concurrency: options.concurrency || 1 });
+    const stopListening = this.retryPolicy.onRateLimit(delay => scheduler.backOff(delay));
+
+    const results = new Array(segments.length).fill(null);
+    const errors = [];
+
+    console.log(`   Scheduling ${segments.length} lip-sync jobs (${scheduler.concurrency} in flight)`);
+
+    try {
+      await Promise.all(segments.map((segment, index) =>
+        scheduler.run(() => this.generateSegment(segment, options))
+          .then((result) => {
+            results[index] = result;
+          })
+          .catch((error) => {
+            errors.push({
+              segmentId: segment.id,
+              speaker: segment.speaker,
+              error: error.message
+            });
+          })
+      ));
+    } finally {
+      stopListening();
+    }
+
+    const successful = results.filter(Boolean);
+
+    return {
+      successful,
+      errors,
+      total: segments.length,
+      successCount: successful.length,
+      errorCount: errors.length
+    };
+  }
+
+  /**
+   * Generate a single segment, re-attaching to a journaled generation when resuming
+   */
+  async generateSegment(segment, options = {}) {
+    const generationOptions = options.generationOptions || {};
+    // Same settings as the cache key, so resuming never re-attaches to a generation made with another model or mode
+    const inputHashes = segment.inputHashes || (this.journal
+      ? await hashGenerationInputs(segment.characterVideoPath, segment.audioPath, this.getGenerationSettings(generationOptions))
+      : null);
+
+    // Re-attach to a previous run's generation when resuming
+    if (options.resume && this.journal) {
+      const resumed = await this.resumeGeneration(segment, inputHashes);
+      if (resumed) {
+        return resumed;
+      }
+    }
+
+    // Generate lip-sync video using the pre-resolved character video path
+    return await this.generateLipSync({
+      characterVideoPath: segment.characterVideoPath,
+      audioPath: segment.audioPath,
+      segment,
+      options: generationOptions,
+      inputHashes
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * MockLipSyncAPI.js
+ * Offline lip-sync provider - muxes the segment audio onto the preprocessed character clip locally
+ * No network or API keys needed, so the full pipeline can be exercised on a laptop
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { LipSyncProvider } from './LipSyncProvider.js';
+import { VideoProcessor } from '../core/VideoProcessor.js';
+
+export class MockLipSyncAPI extends LipSyncProvider {
+  constructor(options = {}) {
+    super('mock', options);
+    this.tempDirectory = options.tempDirectory || './assets/temp';
+    this.videoProcessor = options.videoProcessor || new VideoProcessor(this.tempDirectory);
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Start a local mux job; it runs in the background and is observed through poll()
+   */
+  async submit(params) {
+    const { characterVideoPath, audioPath, segment } = params;
+    const id = `mock_${Date.now()}_${this.nextJobId++}`;
+    const outputPath = path.join(this.tempDirectory, `${segment.id}_${segment.speaker}.mp4`);
+
+    await fs.ensureDir(this.tempDirectory);
+
+    const job = { id, status: 'PROCESSING', outputPath, error: null };
+    job.promise = this.videoProcessor
+      .muxAudioOntoVideo(characterVideoPath, audioPath, outputPath, segment.duration)
+      .then(() => {
+        if (job.status === 'PROCESSING') job.status = 'COMPLETED';
+      })
+      .catch((error) => {
+        if (job.status === 'PROCESSING') {
+          job.status = 'FAILED';
+          job.error = error.message;
+        }
+      });
+
+    this.jobs.set(id, job);
+    return { id };
+  }
+
+  async poll(generationId) {
+    const job = this.jobs.get(generationId);
+    if (!job) {
+      // Mock jobs live in memory, so generations journaled by an earlier process are gone
+      return { id: generationId, status: 'FAILED', error: 'Unknown mock generation (not from this run)' };
+    }
+
+    return {
+      id: job.id,
+      status: job.status,
+      outputPath: job.outputPath,
+      error: job.error
+    };
+  }
+
+  /**
+   * The mux already wrote the result locally - just confirm it exists
+   */
+  async download(generation, segment) {
+    if (!await fs.pathExists(generation.outputPath)) {
+      throw new Error(`Mock output missing: ${generation.outputPath}`);
+    }
+    return generation.outputPath;
+  }
+
+  /**
+   * Mark a job cancelled; the running FFmpeg process is left to finish and its output ignored
+   */
+  async cancel(generationId) {
+    const job = this.jobs.get(generationId);
+    if (!job || job.status !== 'PROCESSING') {
+      return false;
+    }
+    job.status = 'CANCELED';
+    return true;
+  }
+
+  /**
+   * Local jobs finish quickly, so poll more often than the remote default
+   */
+  getPollDelay(attempt) {
+    return 250;
+  }
+
+  async checkStatus() {
+    return { provider: this.name, offline: true, jobs: this.jobs.size };
+  }
+}
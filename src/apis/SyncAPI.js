@@ -8,145 +8,178 @@ import { SyncClient } from '@sync.so/sdk';
 import fs from 'fs-extra';
 import path from 'path';
 import axios from 'axios';
-import { DropboxUploader } from '../services/DropboxUploader.js';
+import { LipSyncProvider } from './LipSyncProvider.js';
+import { RetryPolicy } from '../services/RetryPolicy.js';
+import { hashFile } from '../services/ContentHash.js';
 
-export class SyncAPI {
-  constructor(apiKey, dropboxToken = null) {
+// Re-upload rather than hand Sync a link that may expire mid-generation (Dropbox links last 4 hours)
+const UPLOAD_REUSE_WINDOW = 3 * 60 * 60 * 1000;
+
+export class SyncAPI extends LipSyncProvider {
+  /**
+   * @param {string} apiKey - Sync API key
+   * @param {UploadBackend} uploader - Publishes inputs at URLs Sync can fetch (Dropbox, S3, local HTTP)
+   * @param {Object} options - Sync config (model, syncMode, retry settings)
+   */
+  constructor(apiKey, uploader = null, options = {}) {
+    super('sync', options);
     this.apiKey = apiKey;
     this.client = new SyncClient({ apiKey });
-    this.dropboxUploader = dropboxToken ? new DropboxUploader(dropboxToken) : null;
-    this.uploadedFiles = []; // Track uploaded files for cleanup
+    this.uploader = uploader;
+    this.model = options.model || 'lipsync-2';
+    this.syncMode = options.syncMode || 'bounce';
+    this.uploadedFiles = []; // Remote paths of uploaded inputs, for cleanup
+    this.uploads = new Map(); // Content hash -> { promise, uploadedAt }, so identical inputs upload once per run
+    this.uploadLedger = null; // Optional UploadLedger, set by VideoGenerator, so crashed runs leave a trail
   }
 
   /**
-   * Generate lip-sync video for a character video and audio segment
-   * @param {Object} params - Generation parameters
-   * @param {string} params.characterVideoPath - Path to character video file
-   * @param {string} params.audioPath - Path to audio file
-   * @param {Object} params.segment - Audio segment info (startTime, endTime, etc.)
-   * @param {Object} params.options - Additional generation options
+   * Upload inputs and create a Sync generation
+   * @param {Object} params - Generation parameters (see LipSyncProvider.generateLipSync)
    */
-  async generateLipSync(params) {
-    const { characterVideoPath, audioPath, segment, options = {} } = params;
+  async submit(params) {
+    const { characterVideoPath, audioPath, options = {}, inputHashes = null } = params;
 
-    try {
-      // Validate inputs
-      await this.validateInputs(characterVideoPath, audioPath);
-
-      console.log(`Generating lip-sync for ${segment.speaker} (${segment.duration}s)...`);
+    // Upload temporary files and get URLs Sync can fetch
+    console.log(`🎬 Generating lip-sync: ${path.basename(characterVideoPath)} + ${path.basename(audioPath)}`);
+    
+    if (!this.uploader) {
+      throw RetryPolicy.permanent('Upload backend not configured. Set upload.backend in config (dropbox needs DROPBOX_ACCESS_TOKEN).');
+    }
 
-      // Upload temporary files to Dropbox and get shareable URLs for Sync API
-      console.log(`🎬 Generating lip-sync: ${path.basename(characterVideoPath)} + ${path.basename(audioPath)}`);
-      
-      if (!this.dropboxUploader) {
-        throw new Error('Dropbox uploader not configured. Please provide DROPBOX_ACCESS_TOKEN.');
+    // Upload video and audio files
+    console.log(`📤 Uploading files via ${this.uploader.name}...`);
+    const [videoUpload, audioUpload] = await Promise.all([
+      this.uploadOnce(characterVideoPath, inputHashes && inputHashes.video),
+      this.uploadOnce(audioPath, inputHashes && inputHashes.audio)
+    ]);
+
+    console.log(`✅ Files uploaded - Video: ${videoUpload.url}`);
+    console.log(`✅ Files uploaded - Audio: ${audioUpload.url}`);
+
+    // Creating a generation is not idempotent: a 5xx, timeout or dropped connection may come after Sync
+    // accepted (and billed) the request, so look for that generation before submitting again
+    let mayHaveLanded = false;
+    const generation = await this.retryPolicy.run('creating Sync generation', async () => {
+      if (mayHaveLanded) {
+        const existing = await this.findGenerationByInputs(videoUpload.url, audioUpload.url);
+        if (existing) {
+          console.log(`♻️  Sync accepted the earlier request after all: ${existing.id}`);
+          return existing;
+        }
       }
 
-      // Upload video and audio files to Dropbox
-      console.log('📤 Uploading files to Dropbox...');
-      const [videoUpload, audioUpload] = await Promise.all([
-        this.dropboxUploader.uploadAndGetShareableLink(characterVideoPath),
-        this.dropboxUploader.uploadAndGetShareableLink(audioPath)
-      ]);
-
-      // Track uploaded files for cleanup
-      this.uploadedFiles.push(videoUpload.dropbox_path, audioUpload.dropbox_path);
-
-      console.log(`✅ Files uploaded - Video: ${videoUpload.url}`);
-      console.log(`✅ Files uploaded - Audio: ${audioUpload.url}`);
-
-      // Create generation using the real Sync SDK with URLs
-      const generation = await this.client.generations.create({
-        model: 'lipsync-2',
-        input: [
-          { type: 'video', url: videoUpload.url },
-          { type: 'audio', url: audioUpload.url }
-        ],
-        options: {
-          sync_mode: options.syncMode || 'bounce',
-          ...options
-        }
-      });
+      try {
+        return await this.client.generations.create({
+          model: this.model,
+          input: [
+            { type: 'video', url: videoUpload.url },
+            { type: 'audio', url: audioUpload.url }
+          ],
+          options: {
+            sync_mode: options.syncMode || this.syncMode
+          }
+        });
+      } catch (error) {
+        mayHaveLanded = mayHaveLanded || !RetryPolicy.wasNeverSent(error);
+        throw error;
+      }
+    });
 
-      console.log(`Generation submitted: ${generation.id}`);
+    return { id: generation.id };
+  }
 
-      // Poll for completion
-      const result = await this.waitForCompletion(generation.id, segment);
-      
-      return result;
+  /**
+   * The model and the sync mode submit() actually sends
+   */
+  getGenerationSettings(options = {}) {
+    return { ...options, model: this.model, syncMode: options.syncMode || this.syncMode };
+  }
 
-    } catch (error) {
-      console.error(`Sync API error for segment ${segment.id}:`, error.message);
-      throw new Error(`Failed to generate lip-sync: ${error.message}`);
-    }
+  /**
+   * Find a generation created from these input URLs - links are per upload, so a match was given the same inputs
+   */
+  async findGenerationByInputs(videoUrl, audioUrl) {
+    const generations = await this.client.generations.list();
+    return generations.find(generation => {
+      const urls = (generation.input || []).map(input => input.url);
+      return urls.includes(videoUrl) && urls.includes(audioUrl);
+    }) || null;
   }
 
   /**
-   * Validate input files exist and are readable
+   * Upload a file unless identical content was already uploaded this run, and return its upload result
+   * Concurrent segments sharing a clip wait on the same upload instead of starting their own
+   * @param {string} localFilePath - Local file path
+   * @param {string} contentHash - Precomputed hash of the file, if known
    */
-  async validateInputs(videoPath, audioPath) {
-    if (!await fs.pathExists(videoPath)) {
-      throw new Error(`Character video not found: ${videoPath}`);
+  async uploadOnce(localFilePath, contentHash = null) {
+    const hash = contentHash || await hashFile(localFilePath);
+    const existing = this.uploads.get(hash);
+
+    // An upload still in flight has no link yet to expire; the window starts once it finishes
+    if (existing && (existing.uploadedAt === null || Date.now() - existing.uploadedAt < UPLOAD_REUSE_WINDOW)) {
+      const upload = await existing.promise;
+      console.log(`♻️  Reusing upload of identical file: ${path.basename(localFilePath)} -> ${upload.filename}`);
+      return upload;
     }
-    
-    if (!await fs.pathExists(audioPath)) {
-      throw new Error(`Audio file not found: ${audioPath}`);
+
+    const entry = { promise: null, uploadedAt: null };
+    entry.promise = this.uploader.upload(localFilePath).then(async (upload) => {
+      entry.uploadedAt = Date.now();
+      // Tracked once per remote file, so cleanup deletes each exactly once
+      this.uploadedFiles.push(upload.remotePath);
+      if (this.uploadLedger) {
+        await this.uploadLedger.add({ backend: this.uploader.name, remotePath: upload.remotePath, localPath: localFilePath, size: upload.size });
+      }
+      return upload;
+    });
+    this.uploads.set(hash, entry);
+
+    try {
+      return await entry.promise;
+    } catch (error) {
+      // Let the next segment try again rather than sharing the failure
+      if (this.uploads.get(hash) === entry) {
+        this.uploads.delete(hash);
+      }
+      throw error;
     }
   }
 
   /**
-   * Wait for generation to complete and download result
+   * Fetch generation state from Sync
    */
-  async waitForCompletion(generationId, segment, maxAttempts = 600) {
-    console.log(`Waiting for completion: ${generationId}...`);
-    console.log(`⏰ AI video generation can take several minutes. Please be patient...`);
+  async poll(generationId) {
+    const generation = await this.client.generations.get(generationId);
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      try {
-        const generation = await this.client.generations.get(generationId);
-        
-        // Log status every 30 seconds instead of every check
-        if (attempt % 10 === 0 || generation.status !== 'PROCESSING') {
-          const elapsed = Math.round((attempt * 3) / 60 * 10) / 10; // rough minutes
-          console.log(`📊 Status check ${attempt + 1}/${maxAttempts} (${elapsed}m): ${generation.status || 'Unknown'}`);
-        }
-        
-        if (generation.status === 'COMPLETED') {
-          console.log(`✅ Generation completed: ${generationId}`);
-          
-          // Download the result
-          const outputPath = await this.downloadResult(generation, segment);
-          
-          return {
-            segmentId: segment.id,
-            speaker: segment.speaker,
-            videoPath: outputPath,
-            duration: segment.duration,
-            startTime: segment.startTime,
-            endTime: segment.endTime,
-            generationId: generationId
-          };
-          
-        } else if (generation.status === 'FAILED') {
-          throw new Error(`Generation failed: ${generation.error || 'Unknown error'}`);
-          
-        } else if (generation.status === 'IN_PROGRESS') {
-          // Wait before next poll - progressive backoff
-          const waitTime = Math.min(2000 + (attempt * 1000), 10000);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          continue;
-        }
+    return {
+      id: generationId,
+      status: generation.status,
+      outputUrl: generation.outputUrl,
+      error: generation.error
+    };
+  }
 
-      } catch (error) {
-        if (attempt === maxAttempts - 1) {
-          throw new Error(`Generation polling failed after ${maxAttempts} attempts: ${error.message}`);
-        }
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
+  /**
+   * Download a completed generation
+   */
+  async download(generation, segment) {
+    return await this.downloadResult(generation, segment);
+  }
+
+  /**
+   * Cancel a generation - the Sync SDK may not expose cancellation, in which case the job runs to completion
+   */
+  async cancel(generationId) {
+    if (typeof this.client.generations.cancel !== 'function') {
+      console.warn(`⚠️  Sync SDK does not support cancelling generations; ${generationId} will run to completion`);
+      return false;
     }
 
-    throw new Error(`Generation ${generationId} did not complete within expected time`);
+    await this.client.generations.cancel(generationId);
+    console.log(`🛑 Generation cancelled: ${generationId}`);
+    return true;
   }
 
   /**
@@ -183,11 +216,11 @@ export class SyncAPI {
           writer.on('error', reject);
         });
       } else {
-        throw new Error('No output URL provided in generation result');
+        throw RetryPolicy.permanent('No output URL provided in generation result');
       }
 
     } catch (error) {
-      throw new Error(`Failed to download result: ${error.message}`);
+      throw new Error(`Failed to download result: ${error.message}`, { cause: error });
     }
   }
 
@@ -320,65 +353,6 @@ export class SyncAPI {
     throw new Error(`Job ${jobId} did not complete within expected time`);
   }
 
-  /**
-   * Batch process multiple segments
-   */
-  async generateBatch(segments, characterMatcher, options = {}) {
-    const results = [];
-    const errors = [];
-
-    // Process in batches to avoid overwhelming the API
-    const batchSize = options.batchSize || 3;
-    
-    for (let i = 0; i < segments.length; i += batchSize) {
-      const batch = segments.slice(i, i + batchSize);
-      
-      const batchPromises = batch.map(async (segment) => {
-        try {
-          // Generate lip-sync video using the pre-resolved character video path
-          const result = await this.generateLipSync({
-            characterVideoPath: segment.characterVideoPath,
-            audioPath: segment.audioPath,
-            segment,
-            options: options.generationOptions || {}
-          });
-
-          return result;
-
-        } catch (error) {
-          errors.push({
-            segmentId: segment.id,
-            speaker: segment.speaker,
-            error: error.message
-          });
-          return null;
-        }
-      });
-
-      // Wait for batch to complete
-      const batchResults = await Promise.allSettled(batchPromises);
-      
-      batchResults.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          results.push(result.value);
-        }
-      });
-
-      // Small delay between batches
-      if (i + batchSize < segments.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-
-    return {
-      successful: results,
-      errors,
-      total: segments.length,
-      successCount: results.length,
-      errorCount: errors.length
-    };
-  }
-
   /**
    * Check API status and rate limits
    */
@@ -392,13 +366,20 @@ export class SyncAPI {
   }
 
   /**
-   * Clean up uploaded files from Dropbox
+   * Clean up uploaded files through the upload backend
    */
   async cleanup() {
-    if (this.dropboxUploader && this.uploadedFiles.length > 0) {
-      console.log('🧹 Cleaning up Dropbox uploads...');
-      await this.dropboxUploader.cleanupFiles(this.uploadedFiles);
+    if (!this.uploader) return;
+
+    if (this.uploadedFiles.length > 0) {
+      console.log(`🧹 Cleaning up ${this.uploader.name} uploads...`);
+      const deleted = await this.uploader.cleanupFiles([...new Set(this.uploadedFiles)]);
+      if (this.uploadLedger) {
+        await this.uploadLedger.remove(this.uploader.name, deleted);
+      }
       this.uploadedFiles = [];
     }
+    this.uploads.clear();
+    await this.uploader.close();
   }
 }
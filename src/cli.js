@@ -24,18 +24,26 @@ program
 program
   .command('pipeline')
   .description('Run complete video generation pipeline: audio sync → crop → meta videos')
-  .requiredOption('-a, --audio <path>', 'Audio file path')
-  .requiredOption('-s, --script <path>', 'Script file with dialogue and meta definitions')
+  .option('-a, --audio <path>', 'Audio file path (not needed when every script line has its own audio file)')
+  .requiredOption('-s, --script <path>', 'Script file with dialogue and meta definitions (JSON, screenplay .txt, .srt, .vtt or .rttm)')
   .option('-c, --characters <path>', 'Characters directory path', './assets/characters/videos')
+  .option('--speaker-map <path>', 'JSON file mapping subtitle speaker names or diarization IDs to character videos - defaults to config speakerMap')
   .option('-o, --output <name>', 'Output filename prefix (without extension)', 'final_video')
   .option('--skip-sync', 'Skip audio sync generation (use existing horizontal video)', false)
   .option('--skip-crop', 'Skip cropping to vertical format', false)
   .option('--skip-meta', 'Skip meta video processing', false)
+  .option('--provider <name>', 'Lip-sync provider (sync, mock) - defaults to config lipSync.provider')
+  .option('--resume', 'Re-attach to lip-sync generations journaled by an interrupted run', false)
+  .option('--no-cache', 'Ignore cached lip-sync results and resubmit every segment')
+  .option('--on-failure <policy>', 'When a segment\'s lip-sync fails: fail, fallback or skip - defaults to config processing.onLipSyncFailure')
+  .option('--gaps <policy>', 'How to fill gaps between segments: hold, extend, cutaway or fail - defaults to config gaps.policy')
+  .option('--takes <strategy>', 'How characters with several takes pick one per line: round-robin, random or least-recent - defaults to config takes.rotation')
+  .option('--take-seed <seed>', 'Seed for random take picks (printed after each run) - defaults to config takes.seed, else one derived from the script')
   .action(async (options) => {
     try {
       console.log('🚀 Starting Complete Video Generation Pipeline...\n');
       console.log('📂 INPUT FILES:');
-      console.log(`   Audio: ${options.audio}`);
+      console.log(`   Audio: ${options.audio || 'per-line audio files from the script'}`);
       console.log(`   Script: ${options.script}`);
       console.log(`   Characters: ${options.characters}`);
       console.log(`   Output prefix: ${options.output}`);
@@ -48,7 +56,9 @@ program
       const path = await import('path');
       const fs = await import('fs-extra');
 
+      const projectConfig = await loadProjectConfig();
       let currentVideoPath;
+      let verticalFocus = null;
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
       const startTime = Date.now();
 
@@ -62,7 +72,17 @@ program
           tempDirectory: './assets/temp',
           outputDirectory: './assets/exports/horizontal',
           syncApiKey: process.env.SYNC_API_KEY,
-          dropboxAccessToken: process.env.DROPBOX_ACCESS_TOKEN
+          dropboxAccessToken: process.env.DROPBOX_ACCESS_TOKEN,
+          lipSyncProvider: options.provider || projectConfig.lipSync.provider,
+          concurrentJobs: projectConfig.processing.concurrentJobs,
+          onLipSyncFailure: options.onFailure || projectConfig.processing.onLipSyncFailure,
+          imageMotion: projectConfig.video.imageMotion,
+          gapPolicy: options.gaps || projectConfig.gaps.policy,
+          gapCutaway: projectConfig.gaps.cutaway,
+          takeRotation: options.takes || projectConfig.takes.rotation,
+          takeSeed: options.takeSeed || projectConfig.takes.seed,
+          sync: projectConfig.sync,
+          upload: projectConfig.upload
         };
 
         const videoGenerator = new VideoGenerator(config);
@@ -70,15 +90,16 @@ program
 
         const generateOptions = {
           generateVertical: false, // We'll crop separately
-          outputFormat: 'mp4'
+          outputFormat: 'mp4',
+          resume: options.resume,
+          cache: options.cache
         };
 
         // Read the script file and extract just the dialogue portion for initial generation
-        const scriptContent = await fs.default.readFile(options.script, 'utf8');
-        const scriptData = JSON.parse(scriptContent);
+        const scriptData = await loadSegmentationData(options.script, await loadScriptOptions(options, projectConfig));
         
-        // Use only the dialogue portion for initial generation (ignore meta)
-        const dialogueOnly = {
+        // Use only the dialogue portion for initial generation (ignore meta); subtitles and diarization have no meta
+        const dialogueOnly = scriptData.type === 'subtitles' || scriptData.type === 'diarization' ? scriptData : {
           dialogue: scriptData.dialogue
         };
         
@@ -89,6 +110,10 @@ program
         });
 
         currentVideoPath = results.outputPath;
+        verticalFocus = results.verticalFocus || null;
+        printCacheStats(results.cache);
+        printTakeSelection(results.takeSelection);
+        printNeedsRetry(results.needsRetry);
         console.log(`✅ Horizontal video generated: ${currentVideoPath}\n`);
       } else {
         // Look for existing horizontal video
@@ -117,7 +142,8 @@ program
         await videoProcessor.convertToVertical(currentVideoPath, verticalPath, {
           scale: 'crop',
           width: 608,
-          height: 1080
+          height: 1080,
+          focusTimeline: verticalFocus // Only known when the video was generated in this run
         });
         
         currentVideoPath = verticalPath;
@@ -195,29 +221,50 @@ program
 program
   .command('generate')
   .description('Generate lip-sync video from audio and segmentation data')
-  .requiredOption('-a, --audio <path>', 'Path to audio file')
-  .requiredOption('-s, --segmentation <path>', 'Path to segmentation JSON file')
+  .option('-a, --audio <path>', 'Path to audio file (not needed when every script line has its own audio file)')
+  .requiredOption('-s, --segmentation <path>', 'Path to segmentation JSON, screenplay .txt, .srt, .vtt or .rttm file')
   .option('-c, --characters <path>', 'Path to characters directory', './assets/characters/videos')
+  .option('--speaker-map <path>', 'JSON file mapping subtitle speaker names or diarization IDs to character videos - defaults to config speakerMap')
   .option('-o, --output <path>', 'Output directory', './assets/exports/horizontal')
   .option('--sync-api-key <key>', 'Sync API key')
   .option('--vertical', 'Generate vertical version for social media')
   .option('--quality <level>', 'Video quality (low, medium, high, ultra)', 'high')
   .option('--no-cleanup', 'Keep temporary files')
+  .option('--provider <name>', 'Lip-sync provider (sync, mock) - defaults to config lipSync.provider')
+  .option('--resume', 'Re-attach to lip-sync generations journaled by an interrupted run')
+  .option('--no-cache', 'Ignore cached lip-sync results and resubmit every segment')
+  .option('--on-failure <policy>', 'When a segment\'s lip-sync fails: fail, fallback or skip - defaults to config processing.onLipSyncFailure')
+  .option('--gaps <policy>', 'How to fill gaps between segments: hold, extend, cutaway or fail - defaults to config gaps.policy')
+  .option('--takes <strategy>', 'How characters with several takes pick one per line: round-robin, random or least-recent - defaults to config takes.rotation')
+  .option('--take-seed <seed>', 'Seed for random take picks (printed after each run) - defaults to config takes.seed, else one derived from the script')
   .action(async (options) => {
     try {
       console.log('🎬 Starting Millennial Tarot Video Generation...\n');
 
+      const projectConfig = await loadProjectConfig();
+      options.provider = options.provider || projectConfig.lipSync.provider;
+
       // Validate inputs
       await validateInputs(options);
 
       // Load segmentation data
-      const segmentationData = await loadSegmentationData(options.segmentation);
+      const segmentationData = await loadSegmentationData(options.segmentation, await loadScriptOptions(options, projectConfig));
 
       // Create video generator
       const config = {
         charactersDirectory: options.characters,
         outputDirectory: options.output,
-        syncApiKey: options.syncApiKey || process.env.SYNC_API_KEY
+        syncApiKey: options.syncApiKey || process.env.SYNC_API_KEY,
+        lipSyncProvider: options.provider,
+        concurrentJobs: projectConfig.processing.concurrentJobs,
+        onLipSyncFailure: options.onFailure || projectConfig.processing.onLipSyncFailure,
+        imageMotion: projectConfig.video.imageMotion,
+        gapPolicy: options.gaps || projectConfig.gaps.policy,
+        gapCutaway: projectConfig.gaps.cutaway,
+        takeRotation: options.takes || projectConfig.takes.rotation,
+        takeSeed: options.takeSeed || projectConfig.takes.seed,
+        sync: projectConfig.sync,
+        upload: projectConfig.upload
       };
 
       const generator = new VideoGenerator(config);
@@ -227,6 +274,8 @@ program
       const generationOptions = {
         generateVertical: options.vertical,
         cleanup: options.cleanup,
+        resume: options.resume,
+        cache: options.cache,
         video: {
           quality: options.quality
         }
@@ -247,6 +296,9 @@ program
       }
       console.log(`⏱️  Duration: ${result.duration.toFixed(1)}s`);
       console.log(`🎭 Segments: ${result.segmentCount}`);
+      printCacheStats(result.cache);
+      printTakeSelection(result.takeSelection);
+      printNeedsRetry(result.needsRetry);
       
       if (result.errors && result.errors.length > 0) {
         console.log(`⚠️  Warnings: ${result.failedCount} segments failed`);
@@ -261,6 +313,434 @@ program
     }
   });
 
+// Validate command - check a script before spending money on a run
+program
+  .command('validate')
+  .description('Validate a script against the schema, characters, meta videos and audio duration')
+  .requiredOption('-s, --script <path>', 'Script file to validate (JSON, screenplay .txt, .srt, .vtt or .rttm)')
+  .option('-a, --audio <path>', 'Audio file to compare segment timings against')
+  .option('-c, --characters <path>', 'Characters directory path', './assets/characters/videos')
+  .option('--speaker-map <path>', 'JSON file mapping subtitle speaker names or diarization IDs to character videos - defaults to config speakerMap')
+  .option('--meta-videos <path>', 'Meta videos directory path', './assets/meta-videos')
+  .option('--gaps <policy>', 'Gap policy to check against: hold, extend, cutaway or fail - defaults to config gaps.policy')
+  .action(async (options) => {
+    try {
+      const { ScriptValidator } = await import('./core/ScriptValidator.js');
+      const { AudioSegmentation } = await import('./core/AudioSegmentation.js');
+
+      console.log(`🔍 Validating ${options.script}\n`);
+
+      const projectConfig = await loadProjectConfig();
+      const scriptOptions = await loadScriptOptions(options, projectConfig);
+      let data;
+      try {
+        data = await AudioSegmentation.loadScriptFile(options.script, scriptOptions);
+      } catch (error) {
+        const reason = error.code === 'ENOENT' ? 'Script file not found'
+          : error instanceof SyntaxError ? `Invalid JSON - ${error.message}` : error.message;
+        console.error(`❌ $: ${reason}`);
+        process.exit(1);
+      }
+
+      const validator = new ScriptValidator({
+        charactersDirectory: options.characters,
+        metaVideosDirectory: options.metaVideos,
+        gaps: { ...projectConfig.gaps, policy: options.gaps || projectConfig.gaps.policy }
+      });
+      const result = await validator.validate(data, { audioFile: options.audio });
+
+      console.log('');
+      result.errors.forEach(problem => console.log(`❌ ${problem.path}: ${problem.message}`));
+      result.warnings.forEach(problem => console.log(`⚠️  ${problem.path}: ${problem.message}`));
+
+      if (!result.isValid) {
+        console.log(`\n❌ ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}, ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}`);
+        process.exit(1);
+      }
+
+      console.log(`✅ Script is valid${result.warnings.length > 0 ? ` (${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'})` : ''}`);
+      if (!options.audio) {
+        console.log('💡 Pass --audio to also check timings against the audio duration');
+      }
+
+    } catch (error) {
+      console.error('❌ Validation failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Segment commands - helpers for writing segmentation scripts
+const segmentCommand = program
+  .command('segment')
+  .description('Tools for building segmentation scripts');
+
+segmentCommand
+  .command('suggest')
+  .description('Propose segment boundaries at pauses in the audio and write a draft timestamp script')
+  .requiredOption('-a, --audio <path>', 'Source audio file')
+  .option('-s, --script <path>', 'Existing timestamp script whose boundaries should snap to the nearest pauses')
+  .option('-o, --output <path>', 'Output script path (default: <audio name>.draft.json in the scripts directory, or <script>.snapped.json)')
+  .option('--noise <dB>', 'Volume below which audio counts as silence', '-35')
+  .option('--min-silence <seconds>', 'Shortest pause to detect', '0.4')
+  .option('--min-segment <seconds>', 'Shortest segment in a draft', '1.0')
+  .option('--max-shift <seconds>', 'Furthest a boundary may move when snapping', '1.0')
+  .option('--force', 'Overwrite the output file if it exists')
+  .action(async (options) => {
+    try {
+      const { VideoProcessor } = await import('./core/VideoProcessor.js');
+      const { SegmentSuggester } = await import('./core/SegmentSuggester.js');
+
+      if (!await fs.pathExists(options.audio)) {
+        throw new Error(`Audio file not found: ${options.audio}`);
+      }
+
+      const projectConfig = await loadProjectConfig();
+      const videoProcessor = new VideoProcessor(projectConfig.directories.temp);
+      const suggester = new SegmentSuggester({
+        minSegment: parseFloat(options.minSegment),
+        maxShift: parseFloat(options.maxShift)
+      });
+
+      // Read the script first so a bad script fails before the slow silence pass
+      let script = null;
+      if (options.script) {
+        script = await fs.readJson(options.script);
+        const entries = Array.isArray(script) ? script : (!script.type && (script.dialogue || script.segments));
+        if (!Array.isArray(entries)) {
+          throw new Error('Only timestamp scripts (an array, or { dialogue: [...] }) can be snapped');
+        }
+      }
+
+      const audioDuration = (await videoProcessor.getVideoInfo(options.audio)).duration;
+      const silences = await videoProcessor.detectSilence(options.audio, {
+        noise: parseFloat(options.noise),
+        minDuration: parseFloat(options.minSilence)
+      });
+
+      let output;
+      if (script) {
+        const key = Array.isArray(script) ? null : (script.dialogue ? 'dialogue' : 'segments');
+        const { entries, changes, unsnapped } = suggester.snapScript(key ? script[key] : script, silences, audioDuration);
+        output = key ? { ...script, [key]: entries } : entries;
+
+        console.log(`\n📍 Moved ${changes.length} boundaries to the nearest pause:`);
+        changes.forEach(change => {
+          const shift = change.to - change.from;
+          console.log(`   [${change.index}] ${change.field.padEnd(5)} ${String(change.from).padStart(8)}s → ${String(change.to).padStart(8)}s (${shift > 0 ? '+' : ''}${shift.toFixed(2)}s)`);
+        });
+        if (unsnapped.length > 0) {
+          console.log(`⚠️  ${unsnapped.length} boundaries have no pause within ${suggester.maxShift}s and were left alone:`);
+          unsnapped.forEach(item => console.log(`   [${item.index}] ${item.field.padEnd(5)} ${String(item.time).padStart(8)}s`));
+        }
+      } else {
+        output = suggester.createDraft(silences, audioDuration);
+
+        console.log(`\n✂️  Draft with ${output.length} segments:`);
+        output.forEach((entry, index) => {
+          console.log(`   [${index}] ${entry.start.toFixed(2).padStart(8)}s - ${entry.end.toFixed(2).padStart(8)}s (${(entry.end - entry.start).toFixed(2)}s)`);
+        });
+      }
+
+      const outputPath = options.output || (script
+        ? options.script.replace(/(\.json)?$/i, '.snapped.json')
+        : path.join(projectConfig.directories.scripts, `${path.parse(options.audio).name}.draft.json`));
+
+      if (!options.force && await fs.pathExists(outputPath)) {
+        throw new Error(`${outputPath} already exists - pass --force to overwrite it`);
+      }
+
+      await fs.ensureDir(path.dirname(outputPath));
+      await fs.writeJson(outputPath, output, { spaces: 2 });
+
+      console.log(`\n✅ Wrote ${outputPath}`);
+      if (!script) {
+        console.log(`💡 Replace each "${suggester.placeholder}" video with a character, then check it with: npm run start validate -- --script ${outputPath}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Segment suggestion failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Script commands - edit and convert script files
+const scriptCommand = program
+  .command('script')
+  .description('Convert and edit script files');
+
+scriptCommand
+  .command('convert')
+  .description('Convert scripts between JSON and the screenplay text format (.json <-> .txt); label track .txt files convert to JSON')
+  .argument('<files...>', 'Script files to convert')
+  .option('-o, --output <path>', 'Output path (single input only; default: same name with the other extension)')
+  .option('--force', 'Overwrite existing output files')
+  .action(async (files, options) => {
+    try {
+      const { ScreenplayFormat } = await import('./core/ScreenplayFormat.js');
+      const { AudacityLabels } = await import('./core/AudacityLabels.js');
+
+      if (options.output && files.length > 1) {
+        throw new Error('--output can only be used with a single input file');
+      }
+
+      let failed = 0;
+      for (const file of files) {
+        try {
+          const toJson = ScreenplayFormat.isScreenplayFile(file);
+          const outputPath = options.output || file.replace(/\.[^./\\]+$/, '') + (toJson ? '.json' : '.txt');
+
+          if (!options.force && await fs.pathExists(outputPath)) {
+            throw new Error(`${outputPath} already exists - pass --force to overwrite it`);
+          }
+
+          if (toJson) {
+            // Audacity label tracks are .txt as well
+            const content = await fs.readFile(file, 'utf8');
+            const script = AudacityLabels.isLabelTrack(content) ? AudacityLabels.parse(content) : ScreenplayFormat.parse(content);
+            await fs.writeJson(outputPath, script, { spaces: 2 });
+          } else {
+            const { text, warnings } = ScreenplayFormat.stringify(await fs.readJson(file));
+            warnings.forEach(warning => console.log(`⚠️  ${file}: ${warning}`));
+            await fs.writeFile(outputPath, text);
+          }
+
+          console.log(`✅ ${file} → ${outputPath}`);
+        } catch (error) {
+          failed++;
+          console.error(`❌ ${file}: ${error.message}`);
+        }
+      }
+
+      if (failed > 0) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error('❌ Conversion failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+scriptCommand
+  .command('export-labels')
+  .description('Export a script\'s timeline as an Audacity label track for fixing timings visually')
+  .argument('<script>', 'Script file in any supported format')
+  .option('-o, --output <path>', 'Label file path (default: <script>.labels.txt)')
+  .option('--speaker-map <path>', 'JSON file mapping subtitle speaker names or diarization IDs to character videos - defaults to config speakerMap')
+  .option('--force', 'Overwrite the output file if it exists')
+  .action(async (scriptPath, options) => {
+    try {
+      const { AudioSegmentation } = await import('./core/AudioSegmentation.js');
+      const { AudacityLabels } = await import('./core/AudacityLabels.js');
+      const { VideoProcessor } = await import('./core/VideoProcessor.js');
+
+      const projectConfig = await loadProjectConfig();
+      const data = await loadSegmentationData(scriptPath, await loadScriptOptions(options, projectConfig));
+      const segmentation = await AudioSegmentation.parseWithMeta(null, data);
+
+      // Per-line audio scripts only have times once the files have been measured
+      if (segmentation.hasSegmentAudio()) {
+        const videoProcessor = new VideoProcessor(projectConfig.directories.temp);
+        const clipDurations = {};
+        for (const segment of segmentation.getSegments().filter(s => s.audio)) {
+          clipDurations[segment.id] = (await videoProcessor.getVideoInfo(segment.audio)).duration;
+        }
+        segmentation.applyClipDurations(clipDurations);
+        console.log('⚠️  Per-line audio paths are not kept in the label track - it holds the assembled timeline');
+      }
+      if (segmentation.metaDefinitions.length > 0) {
+        console.log(`⚠️  ${segmentation.metaDefinitions.length} meta video definitions are not part of the label track`);
+      }
+
+      const outputPath = options.output || scriptPath.replace(/\.[^./\\]+$/, '') + '.labels.txt';
+      if (!options.force && await fs.pathExists(outputPath)) {
+        throw new Error(`${outputPath} already exists - pass --force to overwrite it`);
+      }
+
+      await fs.writeFile(outputPath, AudacityLabels.stringify(segmentation.getSegments()));
+      console.log(`✅ Wrote ${segmentation.getSegments().length} labels to ${outputPath}`);
+      console.log('💡 In Audacity: File > Import > Labels, adjust the regions, then File > Export > Export Labels');
+
+    } catch (error) {
+      console.error('❌ Label export failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+scriptCommand
+  .command('shift')
+  .description('Move every segment boundary at or after a time by N seconds (negative moves them earlier)')
+  .argument('<script>', 'JSON, screenplay or label track script to edit')
+  .argument('<time>', 'Boundaries at or after this time (seconds) move')
+  .argument('<seconds>', 'How far to move them, e.g. 1.5 or -0.75')
+  .option('-o, --output <path>', 'Write the edited script here instead of over the original')
+  .option('--dry-run', 'Show the change without writing anything')
+  .allowUnknownOption() // so negative amounts like -0.75 reach <seconds> instead of failing as options
+  .action(async (scriptPath, time, seconds, options) => {
+    try {
+      await editScript(scriptPath, options, segmentation => {
+        const changed = segmentation.shiftSegments(parseSeconds(time, 'time'), parseSeconds(seconds, 'seconds'));
+        console.log(`⏩ Shifted ${changed} segments at or after ${time}s by ${seconds}s`);
+      });
+    } catch (error) {
+      console.error('❌ Shift failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+scriptCommand
+  .command('split')
+  .description('Split the segment playing at a time in two, giving the second half another video')
+  .argument('<script>', 'JSON, screenplay or label track script to edit')
+  .argument('<time>', 'Split point (seconds)')
+  .argument('<video>', 'Video for the second half')
+  .option('-d, --dialogue <text>', 'Dialogue for the second half (the original line stays with the first half)')
+  .option('-o, --output <path>', 'Write the edited script here instead of over the original')
+  .option('--dry-run', 'Show the change without writing anything')
+  .action(async (scriptPath, time, video, options) => {
+    try {
+      await editScript(scriptPath, options, segmentation => {
+        const second = segmentation.splitSegment(parseSeconds(time, 'time'), video, options.dialogue);
+        const index = segmentation.getSegments().indexOf(second);
+        console.log(`✂️  Split at ${time}s:`);
+        printScriptSegments(segmentation.getSegments().slice(index - 1, index + 1), index - 1);
+      });
+    } catch (error) {
+      console.error('❌ Split failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+scriptCommand
+  .command('merge')
+  .description('Merge a segment with the one after it, keeping the first segment\'s video')
+  .argument('<script>', 'JSON, screenplay or label track script to edit')
+  .argument('<index>', 'Segment number, counting from 0')
+  .option('-o, --output <path>', 'Write the edited script here instead of over the original')
+  .option('--dry-run', 'Show the change without writing anything')
+  .action(async (scriptPath, index, options) => {
+    try {
+      await editScript(scriptPath, options, segmentation => {
+        const position = parseIndex(index);
+        const next = segmentation.getSegments()[position + 1];
+        if (next && next.video !== segmentation.getSegmentAt(position).video) {
+          console.log(`⚠️  Segment ${position + 1} (${next.video}) becomes part of ${segmentation.getSegmentAt(position).video}`);
+        }
+
+        const merged = segmentation.mergeSegments(position);
+        console.log(`🔗 Merged segments ${position} and ${position + 1}:`);
+        printScriptSegments([merged], position);
+      });
+    } catch (error) {
+      console.error('❌ Merge failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+scriptCommand
+  .command('set-video')
+  .description('Change the video of a segment')
+  .argument('<script>', 'JSON, screenplay or label track script to edit')
+  .argument('<index>', 'Segment number, counting from 0')
+  .argument('<video>', 'New video')
+  .option('-o, --output <path>', 'Write the edited script here instead of over the original')
+  .option('--dry-run', 'Show the change without writing anything')
+  .action(async (scriptPath, index, video, options) => {
+    try {
+      await editScript(scriptPath, options, segmentation => {
+        const position = parseIndex(index);
+        const previous = segmentation.getSegmentAt(position).video;
+        segmentation.setSegmentVideo(position, video);
+        console.log(`🎭 Segment ${position}: ${previous} → ${video}`);
+      });
+    } catch (error) {
+      console.error('❌ Video change failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Character commands - checks on the source footage in the characters directory
+const charactersCommand = program
+  .command('characters')
+  .description('Inspect character source footage');
+
+charactersCommand
+  .command('audit')
+  .description('Probe every character clip for problems that spoil lip-sync output, before paying for a run')
+  .option('-c, --characters <path>', 'Characters directory path', './assets/characters/videos')
+  .option('-s, --script <path>', 'Script to check clip lengths against: each clip must cover the longest segment that uses it')
+  .option('--speaker-map <path>', 'JSON file mapping subtitle speaker names or diarization IDs to character videos - defaults to config speakerMap')
+  .option('--scene-threshold <score>', 'Scene-change score (0-1) that counts as a cut inside a take - defaults to config audit.sceneThreshold')
+  .option('--quick', 'Only probe the files - skip the black border and scene cut passes')
+  .action(async (options) => {
+    try {
+      const { CharacterMatcher } = await import('./core/CharacterMatcher.js');
+      const { FootageAuditor } = await import('./core/FootageAuditor.js');
+      const { VideoProcessor } = await import('./core/VideoProcessor.js');
+      const { AudioSegmentation } = await import('./core/AudioSegmentation.js');
+
+      const projectConfig = await loadProjectConfig();
+      const videoProcessor = new VideoProcessor(projectConfig.directories.temp);
+      const characterMatcher = new CharacterMatcher(options.characters);
+      await characterMatcher.initialize();
+
+      const characters = characterMatcher.getAvailableCharacters()
+        .filter((character, index, all) => all.findIndex(other => other.filePath === character.filePath) === index);
+      if (characters.length === 0) {
+        throw new Error(`No character files found in ${options.characters}`);
+      }
+
+      let required = new Map();
+      if (options.script) {
+        const data = await loadSegmentationData(options.script, await loadScriptOptions(options, projectConfig));
+        const segmentation = await AudioSegmentation.parseWithMeta(null, data);
+        if (segmentation.hasSegmentAudio()) {
+          const clipDurations = {};
+          for (const segment of segmentation.getSegments().filter(s => s.audio)) {
+            clipDurations[segment.id] = (await videoProcessor.getVideoInfo(segment.audio)).duration;
+          }
+          segmentation.applyClipDurations(clipDurations);
+        }
+        required = FootageAuditor.getRequiredDurations(segmentation.getSegments(), characterMatcher);
+      }
+
+      const sceneThreshold = options.sceneThreshold !== undefined ? Number(options.sceneThreshold) : undefined;
+      if (sceneThreshold !== undefined && !(sceneThreshold > 0 && sceneThreshold < 1)) {
+        throw new Error(`--scene-threshold must be between 0 and 1 (got "${options.sceneThreshold}")`);
+      }
+      const auditor = new FootageAuditor(videoProcessor, {
+        ...projectConfig.audit,
+        sceneThreshold: sceneThreshold,
+        analyzeFrames: !options.quick
+      });
+
+      console.log(`🔍 Auditing ${characters.length} character files in ${options.characters}${options.script ? ` against ${options.script}` : ''}\n`);
+      const results = [];
+      for (const character of characters) {
+        results.push(await auditor.auditFile(character, required.get(character.filePath) || null));
+      }
+
+      printAuditTable(results, Boolean(options.script));
+
+      const failed = results.filter(result => result.status === 'fail').length;
+      const warned = results.filter(result => result.status === 'warn').length;
+      console.log(`\n${failed > 0 ? '❌' : warned > 0 ? '⚠️ ' : '✅'} ${results.length - failed - warned} passed, ${warned} warned, ${failed} failed`);
+      if (options.script) {
+        const unused = results.filter(result => !result.required).length;
+        if (unused > 0) {
+          console.log(`💡 ${unused} file${unused === 1 ? ' is' : 's are'} not used by ${options.script}`);
+        }
+      }
+      if (failed > 0) {
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error('❌ Audit failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Status command
 program
   .command('status')
@@ -701,8 +1181,8 @@ SYNC_API_KEY=your-sync-api-key-here
 // Utility functions
 
 async function validateInputs(options) {
-  // Check audio file
-  if (!await fs.pathExists(options.audio)) {
+  // Check audio file (per-line audio scripts don't need one)
+  if (options.audio && !await fs.pathExists(options.audio)) {
     throw new Error(`Audio file not found: ${options.audio}`);
   }
 
@@ -716,20 +1196,211 @@ async function validateInputs(options) {
     throw new Error(`Characters directory not found: ${options.characters}`);
   }
 
-  // Check API key
-  if (!options.syncApiKey && !process.env.SYNC_API_KEY) {
+  // Check API key (the offline mock provider needs none)
+  if (options.provider === 'sync' && !options.syncApiKey && !process.env.SYNC_API_KEY) {
     throw new Error('Sync API key required. Use --sync-api-key or set SYNC_API_KEY environment variable');
   }
 }
 
-async function loadSegmentationData(segmentationPath) {
+/**
+ * Load config/default.json, overlaid with config.local.json when present
+ */
+async function loadProjectConfig() {
+  const config = await fs.readJson(path.join('config', 'default.json'));
+  const localConfigPath = 'config.local.json';
+
+  if (await fs.pathExists(localConfigPath)) {
+    const localConfig = await fs.readJson(localConfigPath);
+    for (const [section, values] of Object.entries(localConfig)) {
+      config[section] = typeof values === 'object' && !Array.isArray(values)
+        ? { ...config[section], ...values }
+        : values;
+    }
+  }
+
+  config.lipSync = { provider: 'sync', ...config.lipSync };
+  return config;
+}
+
+/**
+ * Options for AudioSegmentation.loadScriptFile: the speaker name/ID -> character video table
+ * (--speaker-map file, else config speakerMap) and the diarization cleanup settings
+ */
+async function loadScriptOptions(options, projectConfig) {
+  let speakerMap = projectConfig.speakerMap || {};
+
+  if (options.speakerMap) {
+    try {
+      speakerMap = await fs.readJson(options.speakerMap);
+    } catch (error) {
+      throw new Error(`Failed to load speaker map ${options.speakerMap}: ${error.message}`);
+    }
+  }
+
+  return { speakerMap, diarization: projectConfig.diarization };
+}
+
+async function loadSegmentationData(segmentationPath, scriptOptions = {}) {
   try {
-    return await fs.readJson(segmentationPath);
+    const { AudioSegmentation } = await import('./core/AudioSegmentation.js');
+    return await AudioSegmentation.loadScriptFile(segmentationPath, scriptOptions);
   } catch (error) {
     throw new Error(`Failed to load segmentation data: ${error.message}`);
   }
 }
 
+/**
+ * Apply an edit to a timestamp script for the `script` edit commands and write it back in the
+ * format it was read in: JSON (other top-level keys and meta kept), screenplay or label track
+ * @param {Function} edit - Called with the script's AudioSegmentation
+ */
+async function editScript(scriptPath, options, edit) {
+  const { AudioSegmentation } = await import('./core/AudioSegmentation.js');
+  const { ScreenplayFormat } = await import('./core/ScreenplayFormat.js');
+  const { AudacityLabels } = await import('./core/AudacityLabels.js');
+
+  // Read the file directly rather than through loadScriptFile so relative audio paths are written back unchanged
+  const content = await fs.readFile(scriptPath, 'utf8');
+  let format, data;
+  if (ScreenplayFormat.isScreenplayFile(scriptPath)) {
+    format = AudacityLabels.isLabelTrack(content) ? 'labels' : 'screenplay';
+    data = format === 'labels' ? AudacityLabels.parse(content) : ScreenplayFormat.parse(content);
+  } else if (/\.json$/i.test(scriptPath)) {
+    format = 'json';
+    data = JSON.parse(content);
+  }
+
+  const entries = data && (Array.isArray(data) ? data : (!data.type && (data.dialogue || data.segments)));
+  if (!Array.isArray(entries)) {
+    throw new Error('Only timestamp scripts (JSON, screenplay or label track) can be edited - turn subtitles and diarization into one with "script export-labels" first');
+  }
+
+  const segmentation = await AudioSegmentation.parseWithMeta(null, data);
+  edit(segmentation);
+
+  let output;
+  if (format === 'labels') {
+    output = AudacityLabels.stringify(segmentation.getSegments());
+  } else {
+    const dialogue = segmentation.toScriptEntries({
+      explicitStart: entries.length > 0 && entries.every(entry => entry.start !== undefined)
+    });
+    // meta is edited in place by the segmentation, so spreading data keeps it
+    const script = Array.isArray(data) ? dialogue : { ...data, [data.dialogue ? 'dialogue' : 'segments']: dialogue };
+
+    if (format === 'json') {
+      output = `${JSON.stringify(script, null, 2)}\n`;
+    } else {
+      const { text, warnings } = ScreenplayFormat.stringify(script);
+      warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+      if (/^\s*#/m.test(content)) {
+        console.log('⚠️  Comments are not kept when a screenplay is rewritten');
+      }
+      output = text;
+    }
+  }
+
+  const outputPath = options.output || scriptPath;
+  if (options.dryRun) {
+    console.log(`\n💡 Dry run - ${outputPath} was not written`);
+    return;
+  }
+
+  await fs.writeFile(outputPath, output);
+  console.log(`\n✅ Wrote ${outputPath}`);
+}
+
+function printScriptSegments(segments, firstIndex) {
+  segments.forEach((segment, offset) => {
+    const text = segment.dialogue ? ` "${segment.dialogue.length > 50 ? `${segment.dialogue.slice(0, 47)}...` : segment.dialogue}"` : '';
+    console.log(`   [${firstIndex + offset}] ${segment.startTime.toFixed(2).padStart(8)}s - ${segment.endTime.toFixed(2).padStart(8)}s ${segment.video}${text}`);
+  });
+}
+
+function parseSeconds(value, label) {
+  const seconds = Number(value);
+  if (value === '' || !Number.isFinite(seconds)) {
+    throw new Error(`${label} must be a number of seconds (got "${value}")`);
+  }
+  return seconds;
+}
+
+function parseIndex(value) {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`Segment number must be 0 or more (got "${value}")`);
+  }
+  return index;
+}
+
+/**
+ * OAuth tokens are stored encrypted: stop before linking when there is no key to save them with
+ */
+function requireTokenKey(oauth) {
+  if (!oauth.tokenStore.hasKey()) {
+    console.error('❌ Tokens are stored encrypted - set a key in your .env file first:');
+    console.log('DROPBOX_TOKEN_PASSPHRASE=your_passphrase');
+    console.log('  or');
+    console.log('DROPBOX_TOKEN_KEY_FILE=/path/to/key/file');
+    process.exit(1);
+  }
+}
+
+function printCacheStats(cache) {
+  if (!cache) return;
+  console.log(`💾 Lip-sync cache: ${cache.hits} hits, ${cache.misses} misses (${cache.secondsSaved.toFixed(1)}s of lip-sync saved)`);
+}
+
+function printTakeSelection(takeSelection) {
+  if (!takeSelection) return;
+  console.log(`🎞️  Takes (${takeSelection.strategy}, seed ${takeSelection.seed} - pass --take-seed ${takeSelection.seed} to reproduce):`);
+  takeSelection.takes.forEach(take => console.log(`   ${take.segmentId}: ${take.video} → ${take.take}`));
+}
+
+/**
+ * One row per file: status, name, manifest character, usable length against the longest line, resolution and fps,
+ * with each problem on its own line underneath
+ */
+function printAuditTable(results, withScript) {
+  // Plain-text status: emoji widths vary between terminals and would skew the columns
+  const rows = results.map(result => [
+    result.status.toUpperCase(),
+    result.file,
+    result.character || '-',
+    result.usable !== null ? `${result.usable.toFixed(2)}s` : '-',
+    ...(withScript ? [result.required ? `${result.required.duration.toFixed(2)}s` : 'unused'] : []),
+    result.resolution || '-',
+    result.fps ? `${Number(result.fps.toFixed(2))}` : '-'
+  ]);
+  const header = ['Status', 'File', 'Character', 'Length', ...(withScript ? ['Needs'] : []), 'Resolution', 'FPS'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = (cells) => `   ${cells.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd();
+
+  console.log(format(header));
+  console.log(format(widths.map(width => '-'.repeat(width))));
+  rows.forEach((row, index) => {
+    console.log(format(row));
+    results[index].issues.forEach(issue => console.log(`      ${issue.level === 'fail' ? '❌' : '⚠️ '} ${issue.message}`));
+  });
+}
+
+function printNeedsRetry(needsRetry) {
+  if (!needsRetry) return;
+  console.log(`🔁 Needs retry: ${needsRetry.length} segments rendered without lip-sync`);
+  needsRetry.forEach(segment => {
+    console.log(`   - ${segment.segmentId} (${segment.speaker}): ${segment.error}`);
+  });
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatAge(hours) {
+  return hours < 48 ? `${hours.toFixed(1)}h` : `${(hours / 24).toFixed(1)}d`;
+}
+
 function createReadmeContent() {
   return `# Millennial Tarot Video Generator
 
@@ -802,15 +1473,97 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
-// Auth command - OAuth setup for Dropbox
+// Cleanup-remote command - sweep uploads left behind by crashed or failed runs
 program
+  .command('cleanup-remote')
+  .description('List and delete leftover lip-sync uploads (Dropbox /sync-temp by default)')
+  .option('--older-than <hours>', 'Only delete files uploaded at least this many hours ago', '24')
+  .option('--recorded', 'Only target uploads recorded on disk by failed runs (works for every backend)')
+  .option('--dry-run', 'Show what would be deleted without deleting anything')
+  .action(async (options) => {
+    let uploader = null;
+    try {
+      const { RetryPolicy } = await import('./services/RetryPolicy.js');
+      const { UploadLedger } = await import('./services/UploadLedger.js');
+
+      const projectConfig = await loadProjectConfig();
+      const generator = new VideoGenerator({
+        tempDirectory: projectConfig.directories.temp,
+        upload: projectConfig.upload,
+        dropboxAccessToken: process.env.DROPBOX_ACCESS_TOKEN
+      });
+
+      uploader = generator.createUploadBackend(new RetryPolicy(projectConfig.sync));
+      if (!uploader) {
+        throw new Error('Dropbox is not configured - set DROPBOX_ACCESS_TOKEN or run `npm run start auth`');
+      }
+
+      const ledger = await new UploadLedger(generator.config.uploadLedgerPath).load();
+      const recorded = new Map(ledger.getEntries(uploader.name).map(entry => [entry.remotePath, entry]));
+
+      const files = options.recorded
+        ? [...recorded.values()].map(entry => ({
+            remotePath: entry.remotePath,
+            name: path.basename(entry.remotePath),
+            size: entry.size || null,
+            modified: new Date(entry.uploadedAt)
+          }))
+        : await uploader.listFiles();
+
+      if (files.length === 0) {
+        console.log(`✅ No leftover ${uploader.name} uploads found`);
+        return;
+      }
+
+      const thresholdHours = parseFloat(options.olderThan);
+      const now = Date.now();
+      console.log(`📂 ${files.length} ${uploader.name} uploads:\n`);
+      console.log(`   ${'Age'.padEnd(10)}${'Size'.padEnd(12)}${'Failed run'.padEnd(12)}File`);
+
+      const stale = [];
+      for (const file of files.sort((a, b) => a.modified - b.modified)) {
+        const ageHours = (now - file.modified.getTime()) / 3600000;
+        const isStale = ageHours >= thresholdHours;
+        if (isStale) stale.push(file);
+
+        console.log(`${isStale ? ' 🗑️' : '   '}${formatAge(ageHours).padEnd(10)}${formatSize(file.size).padEnd(12)}${(recorded.has(file.remotePath) ? 'yes' : '').padEnd(12)}${file.name}`);
+      }
+
+      const staleBytes = stale.reduce((total, file) => total + (file.size || 0), 0);
+      console.log(`\n${stale.length} files older than ${thresholdHours}h (${formatSize(staleBytes)})`);
+
+      if (stale.length === 0) return;
+
+      if (options.dryRun) {
+        console.log('🔍 Dry run - nothing deleted');
+        return;
+      }
+
+      const deleted = await uploader.cleanupFiles(stale.map(file => file.remotePath));
+      await ledger.remove(uploader.name, deleted);
+      console.log(`✅ Deleted ${deleted.length}/${stale.length} files`);
+
+    } catch (error) {
+      console.error('❌ Remote cleanup failed:', error.message);
+      process.exit(1);
+    } finally {
+      if (uploader) await uploader.close();
+    }
+  });
+
+// Auth command - OAuth setup for Dropbox
+const authCommand = program
   .command('auth')
   .description('Authenticate with Dropbox using OAuth')
+  .option('--manual', 'Copy the code by hand instead of using a local callback server (headless machines)')
+  .option('--port <port>', 'Port for the local callback server, 0 for any free one (default: 53682, register http://127.0.0.1:53682/callback on the Dropbox app)')
+  .option('--no-browser', 'Print the authorization URL without opening a browser')
   .action(async (options) => {
     try {
       const { DropboxOAuth } = await import('./services/DropboxOAuth.js');
       
-      if (!process.env.DROPBOX_CLIENT_ID || !process.env.DROPBOX_CLIENT_SECRET) {
+      // The loopback flow uses PKCE and works without the app secret; the manual flow needs both
+      if (!process.env.DROPBOX_CLIENT_ID || (options.manual && !process.env.DROPBOX_CLIENT_SECRET)) {
         console.error('❌ Missing Dropbox OAuth credentials in .env file');
         console.log('Please add:');
         console.log('DROPBOX_CLIENT_ID=your_client_id');
@@ -822,9 +1575,16 @@ program
         process.env.DROPBOX_CLIENT_ID,
         process.env.DROPBOX_CLIENT_SECRET
       );
+
+      requireTokenKey(oauth);
       
       // Check if already authenticated
-      const hasTokens = await oauth.hasValidTokens();
+      let hasTokens = false;
+      try {
+        hasTokens = await oauth.hasValidTokens();
+      } catch (error) {
+        console.log(`⚠️  Stored tokens can't be read, linking again replaces them: ${error.message}`);
+      }
       if (hasTokens) {
         console.log('✅ Already authenticated with Dropbox');
         try {
@@ -836,16 +1596,82 @@ program
         }
       }
       
-      // Start OAuth flow
-      const authUrl = oauth.getAuthUrl();
-      console.log('🔗 Please visit this URL to authorize the application:');
-      console.log(authUrl);
-      console.log('');
-      console.log('After authorization, you will get a code. Use:');
-      console.log('npm run start auth-code -- --code YOUR_CODE');
+      if (options.manual) {
+        // Manual flow: user copies the code out of the redirect URL
+        const authUrl = oauth.getAuthUrl();
+        console.log('🔗 Please visit this URL to authorize the application:');
+        console.log(authUrl);
+        console.log('');
+        console.log('After authorization, you will get a code. Use:');
+        console.log('npm run start auth-code -- --code YOUR_CODE');
+        return;
+      }
+
+      // Loopback flow: local callback server captures the code automatically
+      await oauth.authorizeWithLoopback({
+        port: options.port !== undefined ? parseInt(options.port, 10) : undefined,
+        openBrowser: options.browser
+      });
+
+      console.log('✅ Authentication successful!');
+      console.log('🚀 You can now run the pipeline commands');
       
     } catch (error) {
       console.error('❌ Authentication failed:', error.message);
+      if (!options.manual) {
+        console.log('💡 On a headless machine, use: npm run start auth -- --manual');
+      }
+      process.exit(1);
+    }
+  });
+
+authCommand
+  .command('status')
+  .description('Show the linked Dropbox account and token expiry')
+  .action(async () => {
+    try {
+      const { DropboxOAuth } = await import('./services/DropboxOAuth.js');
+      const oauth = new DropboxOAuth(process.env.DROPBOX_CLIENT_ID, process.env.DROPBOX_CLIENT_SECRET);
+      const status = await oauth.getStatus();
+
+      console.log('🔐 Dropbox Authentication:\n');
+      console.log(`   Token file: ${status.tokenPath}`);
+      console.log(`   Encryption key: ${status.keySource}`);
+
+      if (!status.linked) {
+        console.log(`   Linked: ❌ ${status.error || 'No tokens stored - run: npm run start auth'}`);
+        return;
+      }
+
+      const account = status.account || {};
+      const accountLabel = account.name ? `${account.name} <${account.email}>` : (account.accountId || 'unknown');
+      console.log(`   Linked: ✅ ${accountLabel}`);
+      console.log(`   Access token: ${status.expired ? 'expired' : 'valid'} (expires ${status.expiresAt.toLocaleString()})`);
+      console.log(`   Refresh token: ${status.hasRefreshToken ? '✅ stored - access is renewed automatically' : '❌ none - re-run auth when it expires'}`);
+      if (status.error) {
+        console.log(`   ⚠️  ${status.error}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to read auth status:', error.message);
+      process.exit(1);
+    }
+  });
+
+authCommand
+  .command('logout')
+  .description('Revoke the Dropbox token and delete stored credentials')
+  .option('--local-only', 'Delete the stored tokens without revoking them with Dropbox')
+  .action(async (options) => {
+    try {
+      const { DropboxOAuth } = await import('./services/DropboxOAuth.js');
+      const oauth = new DropboxOAuth(process.env.DROPBOX_CLIENT_ID, process.env.DROPBOX_CLIENT_SECRET);
+
+      const { revoked } = await oauth.logout({ revoke: !options.localOnly });
+      console.log(revoked ? '🔒 Token revoked with Dropbox' : '🔒 Local tokens removed (not revoked)');
+      console.log('✅ Logged out');
+    } catch (error) {
+      console.error('❌ Logout failed:', error.message);
+      console.log('💡 To remove the local tokens anyway: npm run start auth logout -- --local-only');
       process.exit(1);
     }
   });
@@ -864,6 +1690,9 @@ program
         process.env.DROPBOX_CLIENT_SECRET
       );
       
+      // The code is single-use: make sure the tokens can be saved before spending it
+      requireTokenKey(oauth);
+
       console.log('🔄 Exchanging code for access token...');
       const tokens = await oauth.exchangeCodeForToken(options.code);
       
@@ -0,0 +1,104 @@
+/**
+ * AudacityLabels.js
+ * Audacity label tracks (File > Export > Labels): one "start<TAB>end<TAB>label" line per region
+ * The label is the speaker or video name, optionally followed by markers and the dialogue:
+ *   0.000000	6.000000	etsy2: The way this betch thinks...
+ *   6.000000	8.500000	empress1 @nosync
+ */
+
+const LABEL_LINE_PATTERN = /^(-?\d+(?:\.\d+)?)\t(-?\d+(?:\.\d+)?)(?:\t(.*))?$/;
+const LABEL_TEXT_PATTERN = /^([^@:]+?)\s*((?:@\w+\s*)*)(?::\s*(.*))?$/;
+const MOTIONS = ['none', 'zoom', 'pan'];
+
+export class AudacityLabels {
+  /**
+   * Audacity exports labels as .txt, so tell them apart from screenplays by content:
+   * every line is a label line or a "\" frequency line from spectral selections
+   */
+  static isLabelTrack(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    return lines.length > 0 && lines.every(line => LABEL_LINE_PATTERN.test(line) || line.startsWith('\\'));
+  }
+
+  /**
+   * Parse a label track into a { dialogue } JSON script with explicit start/end times
+   * Like screenplays, the source line of each entry is kept in a non-enumerable sourceLines
+   */
+  static parse(content) {
+    const dialogue = [];
+    const sourceLines = { meta: [], dialogue: [] };
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '' || line.startsWith('\\')) return;
+
+      const match = LABEL_LINE_PATTERN.exec(line);
+      if (!match) {
+        throw new Error(`Line ${index + 1}: expected "start<TAB>end<TAB>label", got "${line}"`);
+      }
+
+      const start = Number(match[1]);
+      const end = Number(match[2]);
+      if (end === start) {
+        throw new Error(`Line ${index + 1}: label at ${start}s is a point label - select a region for each line`);
+      }
+      if (end < start) {
+        throw new Error(`Line ${index + 1}: label ends (${end}s) before it starts (${start}s)`);
+      }
+
+      const { video, ...rest } = this.parseLabel(match[3] || '', index + 1);
+      dialogue.push({ video, start: round(start), end: round(end), ...rest });
+      sourceLines.dialogue.push(index + 1);
+    });
+
+    const script = { dialogue };
+    Object.defineProperty(script, 'sourceLines', { value: sourceLines });
+    return script;
+  }
+
+  static parseLabel(label, lineNumber) {
+    const match = LABEL_TEXT_PATTERN.exec(label.trim());
+    if (!match) {
+      throw new Error(`Line ${lineNumber}: label needs a speaker or video name`);
+    }
+
+    const [, video, markers, text] = match;
+    const entry = { video: video.trim(), sync: true };
+
+    for (const marker of markers.split(/\s+/).filter(Boolean).map(m => m.slice(1).toLowerCase())) {
+      if (marker === 'nosync') {
+        entry.sync = false;
+      } else if (MOTIONS.includes(marker)) {
+        entry.motion = marker;
+      } else {
+        throw new Error(`Line ${lineNumber}: unknown marker @${marker} (expected @nosync, @${MOTIONS.join(', @')})`);
+      }
+    }
+
+    if (text && text.trim()) {
+      entry.dialogue = text.trim();
+    }
+    return entry;
+  }
+
+  /**
+   * Write parsed segments (AudioSegmentation.getSegments()) as a label track
+   */
+  static stringify(segments) {
+    const lines = segments.map(segment => {
+      const markers = [
+        segment.sync === false ? '@nosync' : null,
+        segment.motion ? `@${segment.motion}` : null
+      ].filter(Boolean).join(' ');
+      const dialogue = segment.dialogue ? String(segment.dialogue).replace(/\s+/g, ' ').trim() : '';
+      const label = `${segment.video || segment.speaker}${markers ? ` ${markers}` : ''}${dialogue ? `: ${dialogue}` : ''}`;
+
+      return `${segment.startTime.toFixed(6)}\t${segment.endTime.toFixed(6)}\t${label}`;
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function round(seconds) {
+  return Number(seconds.toFixed(3));
+}
@@ -3,32 +3,115 @@
  * Handles parsing audio files and mapping segments to speakers
  */
 
+import path from 'path';
+
+import { SubtitleParser } from './SubtitleParser.js';
+import { DiarizationParser } from './DiarizationParser.js';
+import { ScreenplayFormat } from './ScreenplayFormat.js';
+import { AudacityLabels } from './AudacityLabels.js';
+
+// Gaps shorter than this are rounding in hand-written times, not pauses worth filling
+const GAP_TOLERANCE = 0.05;
+export const GAP_POLICIES = ['hold', 'extend', 'cutaway', 'fail'];
+// Entry keys toScriptEntries writes from the segment; any others in a source entry are passed through
+const SCRIPT_ENTRY_KEYS = ['video', 'speaker', 'start', 'end', 'duration', 'audio', 'dialogue', 'text', 'sync', 'motion'];
+
 export class AudioSegmentation {
   constructor(audioFile, segmentationData) {
     this.audioFile = audioFile;
     this.segments = this.parseSegmentation(segmentationData);
+    this.gaps = this.findGaps();
     this.metaDefinitions = [];
   }
 
+  /**
+   * Read a script file: JSON, a screenplay or Audacity label track .txt, an SRT/WebVTT subtitle file
+   * or an RTTM diarization file
+   * Screenplays and label tracks come back as the equivalent { meta, dialogue } JSON script, and relative per-line
+   * `audio` paths are resolved from the script's directory
+   * Subtitles come back as { type: 'subtitles', format, content, speakerMap } and RTTM as
+   * { type: 'diarization', format: 'rttm', content, speakerMap, ... } for parseSegmentation
+   * @param {string} filePath - Script path
+   * @param {Object} options - { speakerMap } mapping speaker names/IDs to character videos,
+   *   { diarization } defaults for mergeGap, minDuration and shortSegments
+   */
+  static async loadScriptFile(filePath, options = {}) {
+    const fs = await import('fs-extra');
+    const fileContent = await fs.default.readFile(filePath, 'utf8');
+
+    if (SubtitleParser.isSubtitleFile(filePath)) {
+      return {
+        type: 'subtitles',
+        format: SubtitleParser.detectFormat(fileContent),
+        content: fileContent,
+        speakerMap: options.speakerMap || {}
+      };
+    }
+
+    if (ScreenplayFormat.isScreenplayFile(filePath) && AudacityLabels.isLabelTrack(fileContent)) {
+      return AudacityLabels.parse(fileContent);
+    }
+
+    if (ScreenplayFormat.isScreenplayFile(filePath)) {
+      return AudioSegmentation.resolveAudioPaths(ScreenplayFormat.parse(fileContent), path.dirname(filePath));
+    }
+
+    if (/\.rttm$/i.test(filePath)) {
+      return {
+        type: 'diarization',
+        format: 'rttm',
+        content: fileContent,
+        ...options.diarization,
+        speakerMap: options.speakerMap || {}
+      };
+    }
+
+    const data = JSON.parse(fileContent);
+    if (data.type === 'diarization') {
+      // Settings and mappings in the file win over the project defaults
+      return {
+        ...options.diarization,
+        ...data,
+        speakerMap: { ...options.speakerMap, ...data.speakerMap }
+      };
+    }
+    return AudioSegmentation.resolveAudioPaths(data, path.dirname(filePath));
+  }
+
+  /**
+   * Make relative `audio` paths on timestamp entries absolute (entries are updated in place)
+   */
+  static resolveAudioPaths(data, baseDirectory) {
+    const entries = Array.isArray(data) ? data : (!data.type && (data.dialogue || data.segments));
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      if (entry && typeof entry.audio === 'string') {
+        entry.audio = path.resolve(baseDirectory, entry.audio);
+      }
+    }
+    return data;
+  }
+
   /**
    * Parse segmentation data with meta video support
+   * @param {string} audioFile - Audio the segments refer to
+   * @param {string|Object|Array} segmentationData - Script file path or parsed script
+   * @param {Object} options - { speakerMap, diarization } for subtitle and diarization files
    */
-  static async parseWithMeta(audioFile, segmentationData) {
+  static async parseWithMeta(audioFile, segmentationData, options = {}) {
     let parsedData, metaDefinitions = [];
 
     if (typeof segmentationData === 'string') {
       // File path - read and parse
-      const fs = await import('fs-extra');
-      const fileContent = await fs.default.readFile(segmentationData, 'utf8');
-      const data = JSON.parse(fileContent);
-      
-      // Extract dialogue and meta
-      parsedData = data.dialogue || data.segments || data;
+      const data = await AudioSegmentation.loadScriptFile(segmentationData, options);
+
+      // Extract dialogue and meta (typed formats like diarization keep their own `segments`)
+      parsedData = data.type ? data : (data.dialogue || data.segments || data);
       metaDefinitions = data.meta || [];
     } else if (Array.isArray(segmentationData)) {
       parsedData = segmentationData;
     } else if (typeof segmentationData === 'object') {
-      parsedData = segmentationData.dialogue || segmentationData.segments || segmentationData;
+      parsedData = segmentationData.type ? segmentationData : (segmentationData.dialogue || segmentationData.segments || segmentationData);
       metaDefinitions = segmentationData.meta || [];
     }
 
@@ -49,8 +132,12 @@ export class AudioSegmentation {
     } else if (data.type === 'sequence') {
       // Format: { type: 'sequence', speakers: ["The_Empress", "The_Etsy_Queen"], durations: [5.2, 3.1] }
       return this.parseSequenceFormat(data);
+    } else if (data.type === 'subtitles') {
+      // Format: { type: 'subtitles', content: '<SRT or WebVTT text>', speakerMap: { "EMPRESS": "The_Empress" } }
+      return this.parseSubtitleFormat(data);
     } else if (data.type === 'diarization') {
-      // Future: automated speaker detection results
+      // Format: { type: 'diarization', segments: [{ speakerId: "SPEAKER_00", start: 0, end: 5.2 }], speakerMap: { "SPEAKER_00": "The_Empress" } }
+      // or { type: 'diarization', format: 'rttm', content: '<RTTM text>', speakerMap }
       return this.parseDiarizationFormat(data);
     }
     
@@ -58,21 +145,29 @@ export class AudioSegmentation {
   }
 
   parseTimestampFormat(segments) {
+    let previousEnd = 0;
+
     return segments.map((segment, index) => {
       // Auto-calculate start time if not provided (use previous end time)
-      const startTime = segment.start !== undefined ? segment.start : 
-        (index > 0 ? segments[index - 1].end : 0);
+      const startTime = segment.start !== undefined ? segment.start : previousEnd;
+      // With per-line audio the end can be left out - applyClipDurations fills it in from the file
+      const endTime = segment.end !== undefined ? segment.end :
+        (segment.duration !== undefined ? startTime + segment.duration : undefined);
+      previousEnd = endTime;
       
       return {
         id: `segment_${index}`,
         speaker: segment.speaker || segment.video, // Support both speaker and video keys
         video: segment.video || segment.speaker, // Video file to use
         startTime: startTime,
-        endTime: segment.end,
-        duration: segment.end - startTime,
+        endTime: endTime,
+        duration: segment.end === undefined && segment.duration !== undefined ? segment.duration : endTime - startTime,
+        audio: segment.audio || null, // This line's own audio file, instead of a slice of the master track
         dialogue: segment.dialogue || segment.text || null, // Support dialogue text
+        motion: segment.motion || null, // Optional motion for still-image characters (zoom, pan)
         sync: segment.sync !== undefined ? segment.sync : true, // Default to sync unless explicitly false
-        type: segment.sync === false ? 'cutaway' : 'dialogue' // Classify segment type
+        type: segment.sync === false ? 'cutaway' : 'dialogue', // Classify segment type
+        sourceEntry: segment // The entry as written, so edits are saved back in the same shape
       };
     });
   }
@@ -100,19 +195,382 @@ export class AudioSegmentation {
     return segments;
   }
 
+  /**
+   * Turn subtitle cues into dialogue segments
+   * A cue without a speaker continues the previous cue's speaker
+   */
+  parseSubtitleFormat(data) {
+    const cues = SubtitleParser.parse(data.content);
+    let speaker = null;
+
+    return cues.map((cue, index) => {
+      speaker = cue.speaker || speaker;
+      if (!speaker) {
+        throw new Error(`Cue ${cue.number} has no speaker - start the text with "NAME:" or use a <v NAME> voice tag`);
+      }
+
+      return {
+        id: `segment_${index}`,
+        speaker: speaker,
+        video: this.mapSpeakerToVideo(speaker, data.speakerMap),
+        startTime: cue.start,
+        endTime: cue.end,
+        duration: cue.end - cue.start,
+        dialogue: cue.text || null,
+        motion: null,
+        sync: true,
+        type: 'dialogue'
+      };
+    });
+  }
+
+  /**
+   * Look a speaker up in a { name: video } table, ignoring case, spaces and punctuation
+   * Unmapped speakers fall back to the normalized name for the character matcher to resolve
+   */
+  mapSpeakerToVideo(speaker, speakerMap = {}) {
+    if (speakerMap[speaker]) {
+      return speakerMap[speaker];
+    }
+
+    const key = speaker.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const match = Object.keys(speakerMap).find(name => name.toLowerCase().replace(/[^a-z0-9]/g, '') === key);
+    return match ? speakerMap[match] : this.normalizeSpeakerName(speaker);
+  }
+
+  /**
+   * Turn automated speaker detection results into dialogue segments
+   * Turns are cleaned up by DiarizationParser.buildTimeline (overlaps, tiny gaps, short turns)
+   * and speaker IDs are mapped to character videos through data.speakerMap
+   */
   parseDiarizationFormat(data) {
-    // Placeholder for future automated speaker detection
-    // Would process AI-generated speaker timestamps
-    return data.segments.map((segment, index) => ({
+    const turns = typeof data.content === 'string'
+      ? DiarizationParser.parseRttm(data.content)
+      : DiarizationParser.parseJsonTurns(data.segments || []);
+
+    const timeline = DiarizationParser.buildTimeline(turns, {
+      mergeGap: data.mergeGap,
+      minDuration: data.minDuration,
+      shortSegments: data.shortSegments
+    });
+    if (timeline.length === 0) {
+      throw new Error('Diarization contains no usable speaker turns');
+    }
+
+    return timeline.map((turn, index) => ({
       id: `segment_${index}`,
-      speaker: segment.speakerId, // Would need mapping to character names
-      startTime: segment.start,
-      endTime: segment.end,
-      duration: segment.end - segment.start,
-      confidence: segment.confidence || 1.0
+      speaker: turn.speakerId,
+      video: this.mapSpeakerToVideo(turn.speakerId, data.speakerMap),
+      startTime: turn.start,
+      endTime: turn.end,
+      duration: turn.end - turn.start,
+      dialogue: null,
+      motion: null,
+      sync: true,
+      type: 'dialogue',
+      confidence: turn.confidence
     }));
   }
 
+  /**
+   * True when dialogue entries bring their own audio files instead of slicing one master track
+   */
+  hasSegmentAudio() {
+    return this.segments.some(segment => segment.audio);
+  }
+
+  /**
+   * Lay the segments end to end using the length of each line's audio file
+   * Entries without audio (cutaways) keep their own duration and are silent in the dialogue track
+   * @param {Object} clipDurations - Segment id -> audio length in seconds
+   */
+  applyClipDurations(clipDurations) {
+    let currentTime = 0;
+
+    for (const segment of this.segments) {
+      if (segment.sync && !segment.audio) {
+        throw new Error(`Segment ${segment.id}: Needs an "audio" file - every lip-synced line does when the script uses per-line audio`);
+      }
+
+      const duration = segment.audio ? clipDurations[segment.id] : segment.duration;
+      if (!(duration > 0)) {
+        throw new Error(`Segment ${segment.id}: ${segment.audio
+          ? `Could not read the length of ${segment.audio}`
+          : 'Needs a duration (or start/end) when it has no audio file'}`);
+      }
+
+      segment.startTime = currentTime;
+      segment.endTime = currentTime + duration;
+      segment.duration = duration;
+      currentTime += duration;
+    }
+
+    this.gaps = [];
+    return this.segments;
+  }
+
+  /**
+   * Find stretches with no segment: a start after the previous end, or a first segment after 0
+   * Clips are concatenated back to back, so an unfilled gap makes the video shorter than its audio
+   * @returns {Array<{index: number, start: number, end: number, duration: number}>} index is the segment after the gap
+   */
+  findGaps() {
+    const gaps = [];
+    let previousEnd = 0;
+
+    this.segments.forEach((segment, index) => {
+      if (segment.startTime - previousEnd >= GAP_TOLERANCE) {
+        gaps.push({ index, start: previousEnd, end: segment.startTime, duration: round(segment.startTime - previousEnd) });
+      }
+      previousEnd = Math.max(previousEnd, segment.endTime);
+    });
+
+    return gaps;
+  }
+
+  /**
+   * Apply a gap policy to the gaps found at parse time
+   * - hold: a filler per gap that freezes the previous clip's last frame (the first clip's first frame for a leading gap)
+   * - extend: the segment before each gap runs on to the next start (a leading gap moves the first segment back to 0)
+   * - cutaway: a filler per gap that plays the named cutaway meta video
+   * - fail: throws
+   * @param {string} policy - One of GAP_POLICIES
+   * @param {Object} options - { cutaway } meta video name for the cutaway policy
+   * @returns {Array} Filler segments { id, type: 'gap', fill, video, holdSegmentId, holdFrame, startTime, endTime, duration, sync }
+   */
+  fillGaps(policy, options = {}) {
+    if (!GAP_POLICIES.includes(policy)) {
+      throw new Error(`Unknown gap policy: ${policy} (expected ${GAP_POLICIES.join(', ')})`);
+    }
+    if (this.gaps.length === 0) {
+      return [];
+    }
+
+    if (policy === 'fail') {
+      throw new Error(`Script has ${this.gaps.length} gap(s) between segments and the gap policy is "fail": ` +
+        this.gaps.map(gap => `${gap.start}s - ${gap.end}s before segment_${gap.index}`).join(', '));
+    }
+
+    if (policy === 'extend') {
+      for (const gap of this.gaps) {
+        const segment = gap.index > 0 ? this.segments[gap.index - 1] : this.segments[0];
+        if (gap.index > 0) {
+          segment.endTime = gap.end;
+        } else {
+          segment.startTime = 0;
+        }
+        segment.duration = segment.endTime - segment.startTime;
+      }
+      this.gaps = [];
+      return [];
+    }
+
+    if (policy === 'cutaway' && !options.cutaway) {
+      throw new Error('The cutaway gap policy needs a cutaway meta video name (gaps.cutaway)');
+    }
+
+    return this.gaps.map((gap, index) => ({
+      id: `gap_${index}`,
+      type: 'gap',
+      fill: policy,
+      video: policy === 'cutaway' ? options.cutaway : null,
+      holdSegmentId: this.segments[gap.index > 0 ? gap.index - 1 : 0].id,
+      holdFrame: gap.index > 0 ? 'last' : 'first',
+      startTime: gap.start,
+      endTime: gap.end,
+      duration: gap.duration,
+      sync: false
+    }));
+  }
+
+  /**
+   * Move every start/end at or after `time` by `seconds` (negative pulls them earlier)
+   * A segment spanning `time` is stretched or shortened; meta timings starting after it move too
+   * @returns {number} Number of segments whose timing changed
+   */
+  shiftSegments(time, seconds) {
+    this.assertTimingEditable('shift');
+
+    const boundaries = this.segments.flatMap(segment => [segment.startTime, segment.endTime]);
+    const moved = boundaries.filter(boundary => boundary >= time);
+    if (moved.length === 0) {
+      throw new Error(`Nothing starts or ends at or after ${time}s`);
+    }
+
+    // Moved boundaries may close gaps but not cross the ones that stay put
+    const floor = Math.max(0, ...boundaries.filter(boundary => boundary < time));
+    const first = Math.min(...moved);
+    if (first + seconds < floor) {
+      throw new Error(`Can't shift by ${seconds}s: the boundary at ${first}s would move before ${floor}s`);
+    }
+
+    const shift = value => value >= time ? round(value + seconds) : value;
+    for (const segment of this.segments) {
+      if (shift(segment.endTime) <= shift(segment.startTime)) {
+        throw new Error(`Can't shift by ${seconds}s: segment ${segment.id} (${segment.startTime}s - ${segment.endTime}s) would have no length left`);
+      }
+    }
+
+    let changed = 0;
+    for (const segment of this.segments) {
+      if (segment.endTime >= time) changed++;
+      segment.startTime = shift(segment.startTime);
+      segment.endTime = shift(segment.endTime);
+      segment.duration = segment.endTime - segment.startTime;
+    }
+    for (const meta of this.metaDefinitions) {
+      if (meta.timing && meta.timing.start !== undefined && meta.timing.start >= time) {
+        meta.timing.start = Math.max(0, round(meta.timing.start + seconds));
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Cut the segment that spans `time` in two; the second half gets `video` and no dialogue
+   * unless given, since there's no telling where the line's text splits
+   * @returns {Object} The new second segment
+   */
+  splitSegment(time, video, dialogue = null) {
+    this.assertTimingEditable('split');
+
+    const index = this.segments.findIndex(segment => segment.startTime < time && time < segment.endTime);
+    if (index === -1) {
+      throw new Error(`No segment spans ${time}s - the split point must fall inside a segment`);
+    }
+
+    const segment = this.segments[index];
+    const second = {
+      ...segment,
+      speaker: video,
+      video: video,
+      startTime: time,
+      duration: segment.endTime - time,
+      dialogue: dialogue || null
+    };
+    segment.endTime = time;
+    segment.duration = time - segment.startTime;
+
+    this.segments.splice(index + 1, 0, second);
+    this.renumberSegments();
+    return second;
+  }
+
+  /**
+   * Join segment `index` with the one after it, keeping the first one's video and settings
+   * @returns {Object} The merged segment
+   */
+  mergeSegments(index) {
+    this.assertTimingEditable('merge');
+
+    const first = this.getSegmentAt(index);
+    const second = this.segments[index + 1];
+    if (!second) {
+      throw new Error(`Segment ${index} is the last one - there is nothing after it to merge`);
+    }
+
+    first.endTime = second.endTime;
+    first.duration = first.endTime - first.startTime;
+    first.dialogue = [first.dialogue, second.dialogue].filter(Boolean).join(' ') || null;
+
+    this.segments.splice(index + 1, 1);
+    this.renumberSegments();
+    return first;
+  }
+
+  /**
+   * Point segment `index` at another character video
+   * The speaker follows along unless it was a separate label (e.g. a subtitle speaker name)
+   */
+  setSegmentVideo(index, video) {
+    const segment = this.getSegmentAt(index);
+
+    if (segment.speaker === segment.video) {
+      segment.speaker = video;
+    }
+    segment.video = video;
+    return segment;
+  }
+
+  getSegmentAt(index) {
+    if (!Number.isInteger(index) || !this.segments[index]) {
+      throw new Error(`No segment ${index} - the script has segments 0 to ${this.segments.length - 1}`);
+    }
+    return this.segments[index];
+  }
+
+  assertTimingEditable(operation) {
+    if (this.hasSegmentAudio()) {
+      throw new Error(`Can't ${operation} a script with per-line audio - its timing comes from the audio files`);
+    }
+  }
+
+  renumberSegments() {
+    this.segments.forEach((segment, index) => {
+      segment.id = `segment_${index}`;
+    });
+  }
+
+  /**
+   * Write the segments back as timestamp script entries in the shape they were written in:
+   * the source entry's keys (speaker or video, text or dialogue) and key order are kept, sync is
+   * only written when false or when the source had it, and a start equal to the previous end is
+   * left out, as hand-written scripts do, unless the source or explicitStart has one
+   * Per-line audio entries keep their file instead of times
+   * @param {Object} options - { explicitStart }
+   */
+  toScriptEntries(options = {}) {
+    let previousEnd = 0;
+
+    return this.segments.map(segment => {
+      const source = segment.sourceEntry || {};
+      const fields = {};
+
+      if (source.video === undefined && source.speaker !== undefined && segment.speaker === segment.video) {
+        fields.speaker = segment.speaker;
+      } else {
+        fields.video = segment.video;
+        if (segment.speaker && (segment.speaker !== segment.video || source.speaker !== undefined)) {
+          fields.speaker = segment.speaker;
+        }
+      }
+
+      if (segment.audio) {
+        fields.audio = segment.audio;
+      } else if (this.hasSegmentAudio() || (source.end === undefined && source.duration !== undefined)) {
+        fields.duration = segment.duration;
+      } else {
+        if (options.explicitStart || source.start !== undefined || segment.startTime !== previousEnd) {
+          fields.start = segment.startTime;
+        }
+        fields.end = segment.endTime;
+      }
+      previousEnd = segment.endTime;
+
+      if (segment.sync === false || source.sync !== undefined) fields.sync = segment.sync;
+      if (segment.motion) fields.motion = segment.motion;
+
+      const textKey = source.dialogue === undefined && source.text !== undefined ? 'text' : 'dialogue';
+      if (segment.dialogue) {
+        fields[textKey] = segment.dialogue;
+      } else if (source[textKey] === '') {
+        fields[textKey] = '';
+      }
+
+      // Source keys first in their original order (unknown ones passed through), then anything new
+      const entry = {};
+      for (const key of Object.keys(source)) {
+        if (key in fields) {
+          entry[key] = fields[key];
+        } else if (!SCRIPT_ENTRY_KEYS.includes(key)) {
+          entry[key] = source[key];
+        }
+      }
+      return Object.assign(entry, fields);
+    });
+  }
+
   /**
    * Normalize speaker names to match character image file naming convention
    * e.g., "The Empress" -> "The_Empress"
@@ -171,3 +629,7 @@ export class AudioSegmentation {
     };
   }
 }
+
+function round(seconds) {
+  return Number(seconds.toFixed(3));
+}
@@ -6,12 +6,19 @@
 import fs from 'fs-extra';
 import path from 'path';
 
+// Optional manifest in the characters directory - see loadManifest
+const MANIFEST_FILE = 'characters.json';
+const FOCUS_POSITIONS = { left: 0, center: 0.5, right: 1 };
+export const TAKE_STRATEGIES = ['round-robin', 'random', 'least-recent'];
+
 export class CharacterMatcher {
   constructor(charactersDirectory) {
     this.charactersDirectory = charactersDirectory;
     this.characterMap = new Map();
     this.supportedFormats = ['.mp4', '.mov', '.avi', '.webm', '.png', '.jpg', '.jpeg'];
     this.preferredFormats = ['.mp4', '.mov']; // Video files preferred for Sync API
+    this.manifest = null;
+    this.manifestCharacters = new Map(); // Normalized name, display name or alias -> character
   }
 
   /**
@@ -23,6 +30,7 @@ export class CharacterMatcher {
     }
 
     await this.scanCharacterDirectory();
+    await this.loadManifest();
     return this;
   }
 
@@ -58,6 +66,103 @@ export class CharacterMatcher {
       Array.from(this.characterMap.keys()));
   }
 
+  /**
+   * Read the optional characters.json manifest:
+   *   { "characters": { "The_Etsy_Queen": {
+   *       "displayName": "The Etsy Queen", "aliases": ["etsy", "queen"],
+   *       "takes": ["etsy1.mp4", { "file": "etsy2.mp4", "range": { "start": 1, "end": 9 } }],
+   *       "range": { "start": 0.5 }, "verticalFocus": 0.4 } } }
+   * range is the usable part of each take (seconds) and verticalFocus where the 9:16 crop sits
+   * (0 = left edge, 0.5 = center, 1 = right edge, or "left"/"center"/"right"); takes may override both.
+   * Without takes, the file named after the character is its only take.
+   */
+  async loadManifest() {
+    const manifestPath = path.join(this.charactersDirectory, MANIFEST_FILE);
+    if (!await fs.pathExists(manifestPath)) {
+      return;
+    }
+
+    try {
+      this.manifest = await fs.readJson(manifestPath);
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+    }
+
+    for (const [name, definition] of Object.entries(this.manifest.characters || {})) {
+      const takes = this.resolveTakes(name, definition);
+      if (takes.length === 0) {
+        console.warn(`⚠️  ${MANIFEST_FILE}: no take files found for ${name} - skipping it`);
+        continue;
+      }
+
+      const character = {
+        ...takes[0],
+        name: name,
+        displayName: definition.displayName || name,
+        aliases: definition.aliases || [],
+        takes: takes
+      };
+
+      for (const key of [name, character.displayName, ...character.aliases]) {
+        const normalized = this.normalizeString(key);
+        const existing = this.manifestCharacters.get(normalized);
+        if (existing && existing.name !== name) {
+          console.warn(`⚠️  ${MANIFEST_FILE}: "${key}" is claimed by both ${existing.name} and ${name} - keeping ${existing.name}`);
+          continue;
+        }
+        this.manifestCharacters.set(normalized, character);
+      }
+    }
+
+    console.log(`Loaded ${MANIFEST_FILE}:`, [...new Set([...this.manifestCharacters.values()].map(c => c.name))]);
+  }
+
+  /**
+   * Look up each take's file and attach the character's defaults to it
+   * Takes are also updated in characterMap, so naming a take file directly gets the same defaults
+   */
+  resolveTakes(name, definition) {
+    const specs = definition.takes && definition.takes.length > 0 ? definition.takes : [{ file: null }];
+    const takes = [];
+
+    for (const spec of specs.map(take => typeof take === 'string' ? { file: take } : take)) {
+      const file = spec.file
+        ? this.getAvailableCharacters().find(character => character.filename === spec.file)
+        : this.characterMap.get(this.extractCharacterName(name));
+
+      if (!file) {
+        console.warn(`⚠️  ${MANIFEST_FILE}: take ${spec.file || name} of ${name} not found in ${this.charactersDirectory}`);
+        continue;
+      }
+
+      const range = { ...definition.range, ...spec.range };
+      if (range.end !== undefined && range.end <= (range.start || 0)) {
+        throw new Error(`Invalid range for ${spec.file || name} in ${MANIFEST_FILE}: end must be after start`);
+      }
+      const take = {
+        ...file,
+        character: name,
+        range: Object.keys(range).length > 0 ? range : null,
+        verticalFocus: this.parseFocus(spec.verticalFocus ?? definition.verticalFocus, name)
+      };
+
+      this.characterMap.set(file.name, take);
+      takes.push(take);
+    }
+
+    return takes;
+  }
+
+  parseFocus(value, name) {
+    if (value === undefined || value === null) return null;
+
+    const focus = typeof value === 'string' ? FOCUS_POSITIONS[value.toLowerCase()] : value;
+    if (typeof focus !== 'number' || focus < 0 || focus > 1) {
+      throw new Error(`Invalid verticalFocus for ${name} in ${MANIFEST_FILE}: ${value} (expected 0-1, left, center or right)`);
+    }
+    return focus;
+  }
+
   /**
    * Extract character name from filename
    * e.g., "The_Empress.png" -> "The_Empress"
@@ -91,17 +196,32 @@ export class CharacterMatcher {
    * Find character file for a given speaker/video name
    */
   findCharacter(nameOrVideo) {
+    const match = this.matchCharacter(nameOrVideo);
+    return match ? match.character : null;
+  }
+
+  /**
+   * Resolve a speaker/video name and report how it matched:
+   * 'manifest' (a characters.json name, display name or alias), 'file' (a file name) or 'fuzzy'
+   * @returns {{character: Object, matchedBy: string}|null}
+   */
+  matchCharacter(nameOrVideo) {
     const normalizedName = this.normalizeString(nameOrVideo);
-    
+
+    // Names declared in the manifest win over anything guessed from file names
+    if (this.manifestCharacters.has(normalizedName)) {
+      return { character: this.manifestCharacters.get(normalizedName), matchedBy: 'manifest' };
+    }
+
     // Direct match first
     if (this.characterMap.has(normalizedName)) {
-      return this.characterMap.get(normalizedName);
+      return { character: this.characterMap.get(normalizedName), matchedBy: 'file' };
     }
 
     // Try fuzzy matching for common variations
     for (const [characterName, characterData] of this.characterMap) {
       if (this.isFuzzyMatch(normalizedName, characterName)) {
-        return characterData;
+        return { character: characterData, matchedBy: 'fuzzy' };
       }
     }
 
@@ -151,6 +271,7 @@ export class CharacterMatcher {
 
   /**
    * Generate common variations of a character name
+   * The abbreviations are a fallback for characters without aliases in characters.json
    */
   getNameVariations(characterName) {
     const variations = [characterName];
@@ -181,6 +302,60 @@ export class CharacterMatcher {
     return variations;
   }
 
+  /**
+   * Pick a take for each segment of a script, for names that resolve to a characters.json
+   * character with several takes; other names resolve as findCharacter does
+   * Whatever the strategy, a take is never used twice in a row while another one is available
+   * - round-robin: each character cycles through its takes in manifest order
+   * - random: seeded, so the same seed gives the same picks
+   * - least-recent: the take that has gone longest unused in this run
+   * @param {string[]} names - Video/speaker name of each segment, in timeline order
+   * @param {Object} options - { strategy, seed }
+   * @returns {Array<Object|null>} Character entry (the chosen take) per name, null when unmatched
+   */
+  assignTakes(names, options = {}) {
+    const strategy = options.strategy || 'round-robin';
+    if (!TAKE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown take rotation: ${strategy} (expected ${TAKE_STRATEGIES.join(', ')})`);
+    }
+
+    const random = createRandom(String(options.seed ?? ''));
+    const turns = new Map();    // Character name -> takes handed out so far (round-robin)
+    const lastUsed = new Map(); // Take file -> index of the segment that last used it
+    let previous = null;
+
+    return names.map((name, index) => {
+      const character = this.findCharacter(name);
+      if (!character || !character.takes || character.takes.length < 2) {
+        previous = character ? character.filePath : null;
+        return character;
+      }
+
+      const takes = character.takes;
+      const candidates = takes.filter(take => take.filePath !== previous);
+      const pool = candidates.length > 0 ? candidates : takes;
+      let take;
+
+      if (strategy === 'round-robin') {
+        let turn = turns.get(character.name) || 0;
+        if (takes[turn % takes.length].filePath === previous) {
+          turn++;
+        }
+        take = takes[turn % takes.length];
+        turns.set(character.name, turn + 1);
+      } else if (strategy === 'random') {
+        take = pool[Math.floor(random() * pool.length)];
+      } else {
+        const age = candidate => lastUsed.has(candidate.filePath) ? lastUsed.get(candidate.filePath) : -1;
+        take = pool.reduce((oldest, candidate) => age(candidate) < age(oldest) ? candidate : oldest);
+      }
+
+      lastUsed.set(take.filePath, index);
+      previous = take.filePath;
+      return take;
+    });
+  }
+
   /**
    * Get all available characters
    */
@@ -203,13 +378,17 @@ export class CharacterMatcher {
     const results = {
       valid: true,
       matches: {},
+      fuzzy: [], // Speakers only matched by guessing from file names
       missing: []
     };
 
     for (const speaker of speakers) {
-      const character = this.findCharacter(speaker);
-      if (character) {
-        results.matches[speaker] = character;
+      const match = this.matchCharacter(speaker);
+      if (match) {
+        results.matches[speaker] = match.character;
+        if (match.matchedBy === 'fuzzy') {
+          results.fuzzy.push(speaker);
+        }
       } else {
         results.missing.push(speaker);
         results.valid = false;
@@ -278,3 +457,21 @@ export class CharacterMatcher {
     return matrix[str2.length][str1.length];
   }
 }
+
+/**
+ * Small seeded PRNG (mulberry32) so random take picks can be reproduced from the seed
+ */
+function createRandom(seed) {
+  // FNV-1a to turn any seed string into 32 bits
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * DiarizationParser.js
+ * Reads speaker diarization output (pyannote-style RTTM, or JSON turns with speakerId) and
+ * cleans it into a non-overlapping timeline: overlaps trimmed, same-speaker runs merged across
+ * tiny gaps, and turns too short to lip-sync dropped or absorbed into their neighbours
+ */
+
+export const DIARIZATION_DEFAULTS = {
+  mergeGap: 0.3,          // Same-speaker turns closer than this are joined; other gaps this small are closed
+  minDuration: 0.8,       // Turns shorter than this are handled by shortSegments
+  shortSegments: 'absorb' // absorb: give the time to the previous turn (or next, at the start); drop: remove
+};
+
+export class DiarizationParser {
+  /**
+   * Parse RTTM: SPEAKER <file> <channel> <onset> <duration> <NA> <NA> <speaker> <NA> <NA>
+   * @returns {Array<{speakerId: string, start: number, end: number, confidence: number}>}
+   */
+  static parseRttm(content) {
+    const turns = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      const fields = line.trim().split(/\s+/);
+      if (fields[0] !== 'SPEAKER') return;
+
+      const onset = Number(fields[3]);
+      const duration = Number(fields[4]);
+      if (fields.length < 8 || !Number.isFinite(onset) || !Number.isFinite(duration)) {
+        throw new Error(`Invalid RTTM line ${index + 1}: "${line.trim()}"`);
+      }
+
+      const confidence = Number(fields[8]);
+      turns.push({
+        speakerId: fields[7],
+        start: onset,
+        end: onset + duration,
+        confidence: Number.isFinite(confidence) ? confidence : 1.0
+      });
+    });
+
+    return turns;
+  }
+
+  /**
+   * Accept { speakerId, start, end } turns, with speaker/label and duration as alternatives
+   */
+  static parseJsonTurns(segments) {
+    return segments.map((segment, index) => {
+      const speakerId = segment.speakerId ?? segment.speaker ?? segment.label;
+      const end = segment.end !== undefined ? segment.end : segment.start + segment.duration;
+      if (speakerId === undefined || !Number.isFinite(segment.start) || !Number.isFinite(end)) {
+        throw new Error(`Diarization segment ${index} needs speakerId, start and end`);
+      }
+
+      return {
+        speakerId: String(speakerId),
+        start: segment.start,
+        end: end,
+        confidence: segment.confidence ?? 1.0
+      };
+    });
+  }
+
+  /**
+   * Turn raw diarization into a clean timeline
+   * @param {Array} turns - { speakerId, start, end, confidence }
+   * @param {Object} options - mergeGap, minDuration, shortSegments (see DIARIZATION_DEFAULTS)
+   */
+  static buildTimeline(turns, options = {}) {
+    const settings = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const { mergeGap, minDuration, shortSegments } = { ...DIARIZATION_DEFAULTS, ...settings };
+    if (!['absorb', 'drop'].includes(shortSegments)) {
+      throw new Error(`Unknown shortSegments policy: ${shortSegments} (expected absorb or drop)`);
+    }
+
+    const sorted = turns
+      .filter(turn => turn.end > turn.start)
+      .map(turn => ({ ...turn }))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    let timeline = this.mergeRuns(this.removeOverlaps(sorted), mergeGap);
+
+    // Handle short turns one at a time, shortest first, so absorbing one can't hide another
+    let shortest;
+    while ((shortest = this.findShortest(timeline, minDuration)) !== -1) {
+      if (shortSegments === 'absorb' && timeline.length > 1) {
+        const turn = timeline[shortest];
+        if (shortest > 0) {
+          timeline[shortest - 1].end = turn.end;
+        } else {
+          timeline[1].start = turn.start;
+        }
+      }
+      timeline.splice(shortest, 1);
+      timeline = this.mergeRuns(timeline, mergeGap);
+    }
+
+    return timeline.map(turn => ({ ...turn, start: round(turn.start), end: round(turn.end) }));
+  }
+
+  /**
+   * Overlapping speech can't be shown with one face: the earlier turn keeps the overlap
+   */
+  static removeOverlaps(turns) {
+    const result = [];
+
+    for (const turn of turns) {
+      const previous = result[result.length - 1];
+      if (previous && turn.start < previous.end) {
+        if (turn.end <= previous.end) continue; // Fully inside the previous turn
+        turn.start = previous.end;
+      }
+      result.push(turn);
+    }
+
+    return result;
+  }
+
+  /**
+   * Join same-speaker neighbours across gaps up to mergeGap and close small gaps between speakers
+   */
+  static mergeRuns(turns, mergeGap) {
+    const result = [];
+
+    for (const turn of turns) {
+      const previous = result[result.length - 1];
+      const gap = previous ? turn.start - previous.end : Infinity;
+
+      if (previous && previous.speakerId === turn.speakerId && gap <= mergeGap) {
+        previous.end = Math.max(previous.end, turn.end);
+        previous.confidence = Math.min(previous.confidence, turn.confidence);
+        continue;
+      }
+      if (previous && gap > 0 && gap <= mergeGap) {
+        previous.end = turn.start;
+      }
+      result.push({ ...turn });
+    }
+
+    return result;
+  }
+
+  static findShortest(timeline, minDuration) {
+    let shortest = -1;
+    timeline.forEach((turn, index) => {
+      const duration = turn.end - turn.start;
+      if (duration < minDuration && (shortest === -1 || duration < timeline[shortest].end - timeline[shortest].start)) {
+        shortest = index;
+      }
+    });
+    return shortest;
+  }
+}
+
+function round(seconds) {
+  return Number(seconds.toFixed(3));
+}
@@ -0,0 +1,153 @@
+/**
+ * FootageAuditor.js
+ * Vets character source clips before a paid run: probes every file the CharacterMatcher indexes
+ * and grades it pass, warn or fail against what lip-sync needs and what the script asks of it
+ */
+
+export const AUDIT_DEFAULTS = {
+  minHeight: 720,         // Shorter side, in pixels, below which a clip fails
+  sceneThreshold: 0.3,    // Scene-change score (0-1) counted as a cut inside a take
+  borderScanSeconds: 10   // How much of each clip cropdetect looks at
+};
+
+// cropdetect rounds to even sizes and can shave a few pixels off clean footage
+const BORDER_TOLERANCE = 0.02;
+// r_frame_rate and avg_frame_rate of constant frame rate footage agree to within rounding
+const FPS_TOLERANCE = 0.01;
+
+export class FootageAuditor {
+  /**
+   * @param {VideoProcessor} videoProcessor
+   * @param {Object} options - AUDIT_DEFAULTS overrides, plus analyzeFrames: false to skip the border and scene passes
+   */
+  constructor(videoProcessor, options = {}) {
+    const settings = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    this.videoProcessor = videoProcessor;
+    this.settings = { ...AUDIT_DEFAULTS, ...settings };
+    this.analyzeFrames = options.analyzeFrames !== false;
+  }
+
+  /**
+   * Longest segment each file has to cover, keyed by file path
+   * A character with several takes may be given any of them, so its longest line counts for every take
+   * @param {Array} segments - AudioSegmentation.getSegments()
+   * @returns {Map<string, {duration: number, segmentId: string, count: number}>}
+   */
+  static getRequiredDurations(segments, characterMatcher) {
+    const required = new Map();
+
+    for (const segment of segments) {
+      const character = characterMatcher.findCharacter(segment.video || segment.speaker);
+      if (!character) continue;
+
+      for (const take of character.takes || [character]) {
+        const current = required.get(take.filePath);
+        if (!current) {
+          required.set(take.filePath, { duration: segment.duration, segmentId: segment.id, count: 1 });
+          continue;
+        }
+        current.count++;
+        if (segment.duration > current.duration) {
+          current.duration = segment.duration;
+          current.segmentId = segment.id;
+        }
+      }
+    }
+
+    return required;
+  }
+
+  /**
+   * Audit one indexed file
+   * @param {Object} character - Entry from CharacterMatcher.getAvailableCharacters()
+   * @param {Object|null} required - From getRequiredDurations, null when the clip isn't in the script
+   * @returns {Promise<{file: string, character: string|null, status: string, duration: number|null, usable: number|null, resolution: string|null, fps: number|null, issues: Array<{level: string, message: string}>}>}
+   */
+  async auditFile(character, required = null) {
+    const result = {
+      file: character.filename,
+      character: character.character || null,
+      status: 'pass',
+      duration: null,
+      usable: null,
+      resolution: null,
+      fps: null,
+      required: required,
+      issues: []
+    };
+    const fail = (message) => result.issues.push({ level: 'fail', message });
+    const warn = (message) => result.issues.push({ level: 'warn', message });
+
+    // validateVideo probes with getVideoInfo and hands the info back
+    const validation = await this.videoProcessor.validateVideo(character.filePath);
+    validation.issues.forEach(issue => fail(issue));
+    const info = validation.info;
+    if (!info || !info.video) {
+      return this.finish(result);
+    }
+
+    const { width, height } = info.video;
+    result.resolution = `${width}x${height}`;
+    if (Math.min(width, height) < this.settings.minHeight) {
+      fail(`Below ${this.settings.minHeight}p (${width}x${height})`);
+    }
+
+    // Stills are turned into clips of whatever length a segment needs
+    if (character.fileType === 'image') {
+      return this.finish(result);
+    }
+
+    result.fps = info.video.fps;
+    result.duration = info.duration;
+    if (!info.audio) {
+      warn('No audio stream');
+    }
+    if (info.video.avgFps && Math.abs(info.video.fps - info.video.avgFps) / info.video.fps > FPS_TOLERANCE) {
+      warn(`Variable frame rate (${info.video.avgFps.toFixed(2)} average vs ${info.video.fps.toFixed(2)} fps)`);
+    }
+
+    const start = character.range?.start || 0;
+    const end = character.range?.end ?? info.duration;
+    if (end > info.duration) {
+      fail(`Range ends at ${end}s but the clip is ${info.duration.toFixed(2)}s`);
+    }
+    result.usable = Math.min(end, info.duration) - start;
+
+    if (required && required.duration > result.usable) {
+      fail(`${result.usable.toFixed(2)}s${character.range ? ' in range' : ''} - ${required.segmentId} needs ${required.duration.toFixed(2)}s`);
+    }
+
+    if (this.analyzeFrames) {
+      await this.checkBorders(character.filePath, info.video, warn);
+      await this.checkSceneCuts(character.filePath, { start, end: Math.min(end, info.duration) }, warn);
+    }
+
+    return this.finish(result);
+  }
+
+  async checkBorders(filePath, video, warn) {
+    const crop = await this.videoProcessor.detectBlackBorders(filePath, { duration: this.settings.borderScanSeconds });
+    if (!crop) return;
+
+    const bars = [];
+    if (crop.height < video.height * (1 - BORDER_TOLERANCE)) bars.push('letterboxed');
+    if (crop.width < video.width * (1 - BORDER_TOLERANCE)) bars.push('pillarboxed');
+    if (bars.length > 0) {
+      warn(`Black borders: ${bars.join(' and ')}, picture is ${crop.width}x${crop.height} at ${crop.x},${crop.y}`);
+    }
+  }
+
+  async checkSceneCuts(filePath, range, warn) {
+    const cuts = await this.videoProcessor.detectSceneCuts(filePath, { ...range, threshold: this.settings.sceneThreshold });
+    if (cuts.length === 0) return;
+
+    const times = cuts.slice(0, 3).map(time => `${time}s`).join(', ');
+    warn(`${cuts.length} scene cut${cuts.length === 1 ? '' : 's'} inside the take (${times}${cuts.length > 3 ? ', ...' : ''})`);
+  }
+
+  finish(result) {
+    const levels = result.issues.map(issue => issue.level);
+    result.status = levels.includes('fail') ? 'fail' : levels.includes('warn') ? 'warn' : 'pass';
+    return result;
+  }
+}
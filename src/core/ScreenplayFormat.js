@@ -0,0 +1,265 @@
+/**
+ * ScreenplayFormat.js
+ * Plain-text script format for writers, converted to and from the JSON { meta, dialogue } script
+ *
+ *   # Comments start with #
+ *   [INTRO intro 0+1.5 clip 0+1.5]
+ *   [CUTAWAY intro 10-12 clip 1+2 @exclude]
+ *   [OUTRO outro last 2 clip 3+2]
+ *   ETSY2 [6.0]: The way this betch thinks she can manifest a brownstone...
+ *   EMPRESS1 [13]: Blind child dreams of grand estates...
+ *   ETSY2 [13-20] @nosync @zoom: Cut to her without lip-sync
+ *   EMPRESS1 [lines/empress_04.wav]: A line with its own audio file
+ *
+ * Dialogue lines are VIDEO [end], VIDEO [start-end], VIDEO [audio file] or VIDEO [+duration],
+ * optional @nosync and motion (@zoom, @pan, @none) markers, a colon, then the line.
+ * Indented lines continue the previous line's dialogue.
+ * Meta directives are [TYPE name timing clip <range> position @exclude], where a range is
+ * start-end, start+duration or start, "last N" means N seconds from the end, and any other
+ * timing or clip field can be given as key=value (offset=0.5, clip.end=4).
+ */
+
+const META_TYPES = ['intro', 'outro', 'cutaway', 'overlay'];
+const POSITIONS = ['replace', 'overlay', 'before', 'after'];
+const MOTIONS = ['none', 'zoom', 'pan'];
+
+const DIALOGUE_PATTERN = /^([^\s[\]@:#][^[\]@:]*?)\s*\[([^\]]+)\]\s*((?:@\w+\s*)*):[ \t]?(.*)$/;
+const DIRECTIVE_PATTERN = /^\[\s*(\w+)\s+([^\]]*)\]$/;
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|m4a|aac|flac|ogg)$/i;
+
+export class ScreenplayFormat {
+  static isScreenplayFile(filePath) {
+    return /\.txt$/i.test(filePath);
+  }
+
+  /**
+   * Parse screenplay text into a JSON script
+   * The line each entry came from is kept in a non-enumerable sourceLines: { meta: [], dialogue: [] }
+   * @returns {{meta: Array, dialogue: Array}} Same shape as a { meta, dialogue } JSON script
+   */
+  static parse(content) {
+    const script = { meta: [], dialogue: [] };
+    const sourceLines = { meta: [], dialogue: [] };
+    let previous = null;
+
+    content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+      const line = rawLine.trim();
+
+      if (line === '' || line.startsWith('#')) {
+        return;
+      }
+
+      try {
+        if (line.startsWith('[')) {
+          script.meta.push(this.parseDirective(line));
+          sourceLines.meta.push(lineNumber);
+          previous = null;
+        } else if (/^\s/.test(rawLine) && previous) {
+          previous.dialogue = previous.dialogue ? `${previous.dialogue} ${line}` : line;
+        } else {
+          previous = this.parseDialogueLine(line);
+          script.dialogue.push(previous);
+          sourceLines.dialogue.push(lineNumber);
+        }
+      } catch (error) {
+        throw new Error(`Line ${lineNumber}: ${error.message}`);
+      }
+    });
+
+    Object.defineProperty(script, 'sourceLines', { value: sourceLines });
+    return script;
+  }
+
+  static parseDialogueLine(line) {
+    const match = DIALOGUE_PATTERN.exec(line);
+    if (!match) {
+      throw new Error(`Expected "VIDEO [end]: dialogue" or a [TYPE name ...] directive, got "${line}"`);
+    }
+
+    const [, video, times, markers, text] = match;
+    const entry = { video: video.trim() };
+
+    const range = new RegExp(`^\\s*(?:${NUMBER}\\s*-\\s*)?${NUMBER}\\s*$`).exec(times);
+    const duration = new RegExp(`^\\s*\\+${NUMBER}\\s*$`).exec(times);
+    if (range) {
+      if (range[1] !== undefined) {
+        entry.start = Number(range[1]);
+      }
+      entry.end = Number(range[2]);
+    } else if (duration) {
+      entry.duration = Number(duration[1]);
+    } else if (AUDIO_FILE_PATTERN.test(times.trim())) {
+      entry.audio = times.trim();
+    } else {
+      throw new Error(`Invalid time "[${times}]" - use [end], [start-end], [+duration] in seconds or [audio file]`);
+    }
+
+    entry.sync = true;
+    for (const marker of markers.split(/\s+/).filter(Boolean).map(m => m.slice(1).toLowerCase())) {
+      if (marker === 'nosync') {
+        entry.sync = false;
+      } else if (MOTIONS.includes(marker)) {
+        entry.motion = marker;
+      } else {
+        throw new Error(`Unknown marker @${marker} (expected @nosync, @${MOTIONS.join(', @')})`);
+      }
+    }
+
+    entry.dialogue = text.trim();
+    return entry;
+  }
+
+  static parseDirective(line) {
+    const match = DIRECTIVE_PATTERN.exec(line);
+    const type = match && match[1].toLowerCase();
+    if (!match || !META_TYPES.includes(type)) {
+      throw new Error(`Invalid directive "${line}" - expected [${META_TYPES.map(t => t.toUpperCase()).join('|')} name ...]`);
+    }
+
+    const tokens = match[2].trim().split(/\s+/).filter(Boolean);
+    const meta = { type, name: tokens.shift(), include: true };
+    if (!meta.name) {
+      throw new Error(`${type.toUpperCase()} directive needs a meta video name`);
+    }
+
+    const timing = {};
+    const clip = {};
+
+    while (tokens.length > 0) {
+      const token = tokens.shift();
+      const lower = token.toLowerCase();
+
+      if (lower === '@exclude') {
+        meta.include = false;
+      } else if (lower === '@include') {
+        meta.include = true;
+      } else if (POSITIONS.includes(lower)) {
+        meta.position = lower;
+      } else if (lower === 'last') {
+        timing.fromEnd = this.parseNumber(tokens.shift(), 'last');
+      } else if (lower === 'clip') {
+        Object.assign(clip, this.parseRange(tokens.shift(), 'clip'));
+      } else if (token.includes('=')) {
+        const [key, value] = token.split('=');
+        const [target, field] = key.startsWith('clip.') ? [clip, key.slice(5)] : [timing, key];
+        target[field] = this.parseNumber(value, key);
+      } else {
+        Object.assign(timing, this.parseRange(token, 'timing'));
+      }
+    }
+
+    if (Object.keys(timing).length > 0) meta.timing = timing;
+    if (Object.keys(clip).length > 0) meta.clip = clip;
+    return meta;
+  }
+
+  /**
+   * "10-12" -> { start, end }, "10+2" -> { start, duration }, "10" -> { start }
+   */
+  static parseRange(token, label) {
+    const match = new RegExp(`^${NUMBER}(?:([-+])${NUMBER})?$`).exec(token || '');
+    if (!match) {
+      throw new Error(`Invalid ${label} range "${token || ''}" - use start-end, start+duration or start`);
+    }
+
+    const range = { start: Number(match[1]) };
+    if (match[2] === '-') range.end = Number(match[3]);
+    if (match[2] === '+') range.duration = Number(match[3]);
+    return range;
+  }
+
+  static parseNumber(value, label) {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number)) {
+      throw new Error(`${label} needs a number (got "${value || ''}")`);
+    }
+    return number;
+  }
+
+  /**
+   * Write a timestamp JSON script (array or { meta, dialogue }) as screenplay text
+   * @returns {{text: string, warnings: string[]}} Warnings name anything the text format can't hold
+   */
+  static stringify(script) {
+    if (!Array.isArray(script) && script.type) {
+      throw new Error(`Only timestamp scripts can be written as a screenplay (got type "${script.type}")`);
+    }
+
+    const entries = Array.isArray(script) ? script : (script.dialogue || script.segments || []);
+    const meta = Array.isArray(script) ? [] : (script.meta || []);
+    const warnings = [];
+    const lines = [];
+
+    meta.forEach(definition => lines.push(this.formatDirective(definition)));
+    if (meta.length > 0 && entries.length > 0) {
+      lines.push('');
+    }
+
+    entries.forEach((entry, index) => {
+      const video = entry.video || entry.speaker;
+      if (entry.video && entry.speaker && entry.speaker !== entry.video) {
+        warnings.push(`Entry ${index}: speaker "${entry.speaker}" dropped - screenplay lines only name the video`);
+      }
+
+      let times;
+      if (entry.audio) {
+        times = entry.audio;
+      } else if (entry.end === undefined && entry.duration !== undefined) {
+        times = `+${entry.duration}`;
+      } else {
+        times = entry.start !== undefined ? `${entry.start}-${entry.end}` : `${entry.end}`;
+      }
+      const markers = [
+        entry.sync === false ? '@nosync' : null,
+        entry.motion ? `@${entry.motion}` : null
+      ].filter(Boolean).join(' ');
+      const text = String(entry.dialogue ?? entry.text ?? '').replace(/\s*\n\s*/g, ' ');
+
+      lines.push(`${video} [${times}]${markers ? ` ${markers}` : ''}:${text ? ` ${text}` : ''}`);
+    });
+
+    return { text: `${lines.join('\n')}\n`, warnings };
+  }
+
+  static formatDirective(meta) {
+    const parts = [meta.type.toUpperCase(), meta.name];
+    const timing = { ...meta.timing };
+    const clip = { ...meta.clip };
+
+    parts.push(...this.formatRange(timing, ''));
+    if (timing.fromEnd !== undefined) {
+      parts.push(`last ${timing.fromEnd}`);
+      delete timing.fromEnd;
+    }
+    parts.push(...Object.entries(timing).map(([key, value]) => `${key}=${value}`));
+
+    const clipRange = this.formatRange(clip, 'clip ');
+    parts.push(...clipRange);
+    parts.push(...Object.entries(clip).map(([key, value]) => `clip.${key}=${value}`));
+
+    if (meta.position) parts.push(meta.position);
+    if (meta.include === false) parts.push('@exclude');
+
+    return `[${parts.join(' ')}]`;
+  }
+
+  /**
+   * Take start/end/duration out of a timing or clip object as a range token
+   */
+  static formatRange(fields, prefix) {
+    if (fields.start === undefined) return [];
+
+    let token = `${fields.start}`;
+    if (fields.end !== undefined) {
+      token += `-${fields.end}`;
+      delete fields.end;
+    } else if (fields.duration !== undefined) {
+      token += `+${fields.duration}`;
+      delete fields.duration;
+    }
+    delete fields.start;
+    return [`${prefix}${token}`];
+  }
+}
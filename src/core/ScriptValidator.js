@@ -0,0 +1,318 @@
+/**
+ * ScriptValidator.js
+ * Checks a dialogue script before a paid run: JSON Schema, segment timing, referenced
+ * characters and meta videos, and the script's length against the real audio
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { AudioSegmentation, GAP_POLICIES } from './AudioSegmentation.js';
+import { CharacterMatcher } from './CharacterMatcher.js';
+import { MetaVideoManager } from './MetaVideoManager.js';
+import { VideoProcessor } from './VideoProcessor.js';
+import { SchemaValidator } from '../services/SchemaValidator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'config', 'script.schema.json');
+
+// Allowed difference between the script's end and the audio's end before it's reported
+const DURATION_TOLERANCE = 0.5;
+
+export class ScriptValidator {
+  constructor(config = {}) {
+    this.config = {
+      charactersDirectory: config.charactersDirectory || './assets/characters/videos',
+      metaVideosDirectory: config.metaVideosDirectory || './assets/meta-videos',
+      ...config
+    };
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Validate a script
+   * @param {Object|Array} data - Parsed script
+   * @param {Object} options - { audioFile } to compare against the real audio duration
+   * @returns {Promise<{isValid: boolean, errors: Array, warnings: Array}>} Problems as { path, message }
+   */
+  async validate(data, options = {}) {
+    this.errors = [];
+    this.warnings = [];
+    this.sourceLines = data && data.sourceLines ? data.sourceLines : null;
+
+    const schema = await fs.readJson(SCHEMA_PATH);
+    this.errors.push(...new SchemaValidator(schema).validate(data));
+
+    // Later checks need a parseable script; schema errors already explain why it isn't
+    if (data === null || typeof data !== 'object') {
+      return this.getResult();
+    }
+
+    let segmentation;
+    try {
+      segmentation = await AudioSegmentation.parseWithMeta(options.audioFile || null, data);
+    } catch (error) {
+      this.addError('$', `Could not parse script: ${error.message}`);
+      return this.getResult();
+    }
+
+    const segmentPath = this.createSegmentPathResolver(data);
+    const segments = segmentation.getSegments();
+
+    const perLineAudio = segmentation.hasSegmentAudio();
+    if (!perLineAudio || await this.applySegmentAudio(segmentation, segmentPath)) {
+      this.checkTiming(segmentation, segmentPath);
+      await this.checkGaps(segmentation, segmentPath);
+    }
+    await this.checkCharacters(segments, segmentPath);
+    await this.checkMetaVideos(segmentation.metaDefinitions);
+
+    if (options.audioFile && perLineAudio) {
+      this.addWarning('$', `Script lines have their own audio files - ${options.audioFile} would be ignored`);
+    } else if (options.audioFile) {
+      await this.checkAudioDuration(options.audioFile, segments, segmentation.metaDefinitions, segmentPath);
+    }
+
+    return this.getResult();
+  }
+
+  /**
+   * Map a parsed segment index (and field) back to its JSON path in the original script
+   * @returns {Function} (index, field) => path, field being 'video', 'end' or undefined
+   */
+  createSegmentPathResolver(data) {
+    if (!Array.isArray(data) && data.type === 'subtitles') {
+      // Segments are numbered cues; there is no JSON to point into
+      return (index, field) => `cue ${index + 1}${field === 'video' ? ' speaker' : ''}`;
+    }
+
+    if (!Array.isArray(data) && data.type === 'diarization') {
+      // Turns are merged and trimmed, so segments no longer line up with the input
+      return (index, field) => `segment ${index + 1}${field === 'video' ? ' speaker' : ''}`;
+    }
+
+    if (!Array.isArray(data) && data.type === 'sequence') {
+      return (index, field) => {
+        if (field === 'end') return `$.durations[${index}]`;
+        if (field === 'video' && data.videos) return `$.videos[${index}]`;
+        return `$.speakers[${index}]`;
+      };
+    }
+
+    const base = Array.isArray(data) ? '$' : (data.dialogue ? '$.dialogue' : '$.segments');
+    const entries = Array.isArray(data) ? data : (data.dialogue || data.segments || []);
+    return (index, field) => {
+      if (!field) return `${base}[${index}]`;
+      // Character names come from `video`, falling back to `speaker`
+      const key = field === 'video' && entries[index] && entries[index].video === undefined ? 'speaker' : field;
+      return `${base}[${index}].${key}`;
+    };
+  }
+
+  getResult() {
+    return {
+      isValid: this.errors.length === 0,
+      errors: this.errors.map(problem => this.toSourcePath(problem)),
+      warnings: this.warnings.map(problem => this.toSourcePath(problem))
+    };
+  }
+
+  /**
+   * Scripts parsed from text (screenplays) point at line numbers instead of JSON paths
+   */
+  toSourcePath(problem) {
+    const match = this.sourceLines && /^\$\.(dialogue|meta)\[(\d+)\](.*)$/.exec(problem.path);
+    const line = match && this.sourceLines[match[1]][Number(match[2])];
+    return line ? { ...problem, path: `line ${line}${match[3] ? ` (${match[3].slice(1)})` : ''}` } : problem;
+  }
+
+  addError(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  addWarning(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  /**
+   * Per-line audio: every file must exist and be readable so the timeline can be laid out
+   * @returns {Promise<boolean>} Whether segment timings are known and worth checking
+   */
+  async applySegmentAudio(segmentation, segmentPath) {
+    const clipDurations = {};
+    let complete = true;
+
+    for (const [index, segment] of segmentation.getSegments().entries()) {
+      if (!segment.audio) continue;
+
+      if (!await fs.pathExists(segment.audio)) {
+        this.addError(segmentPath(index, 'audio'), `Audio file not found: ${segment.audio}`);
+        complete = false;
+        continue;
+      }
+
+      try {
+        clipDurations[segment.id] = (await new VideoProcessor().getVideoInfo(segment.audio)).duration;
+      } catch (error) {
+        this.addWarning(segmentPath(index, 'audio'), `Could not read audio duration (${error.message}) - skipping timing checks`);
+        complete = false;
+      }
+    }
+
+    if (!complete) return false;
+
+    try {
+      segmentation.applyClipDurations(clipDurations);
+      return true;
+    } catch (error) {
+      const match = /^Segment segment_(\d+): (.*)$/.exec(error.message);
+      this.addError(match ? segmentPath(Number(match[1])) : '$', match ? match[2] : error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Run AudioSegmentation.validate() and map its segment ids back to JSON paths
+   */
+  checkTiming(segmentation, segmentPath) {
+    const { errors } = segmentation.validate();
+
+    for (const error of errors) {
+      const match = /^Segment segment_(\d+): (.*)$/.exec(error);
+      if (match) {
+        this.addError(segmentPath(Number(match[1])), match[2]);
+      } else {
+        this.addError('$', error);
+      }
+    }
+  }
+
+  /**
+   * Gaps between segments are filled according to config.gaps: with "fail" each one is an error,
+   * and "cutaway" needs its meta video to exist
+   */
+  async checkGaps(segmentation, segmentPath) {
+    const { policy = 'hold', cutaway } = this.config.gaps || {};
+    if (segmentation.gaps.length === 0) return;
+
+    if (!GAP_POLICIES.includes(policy)) {
+      this.addError('$', `Unknown gap policy: ${policy} (expected ${GAP_POLICIES.join(', ')})`);
+    } else if (policy === 'fail') {
+      segmentation.gaps.forEach(gap => {
+        const where = gap.index > 0 ? `${gap.duration}s after the previous segment ends (${gap.start}s)` : `at ${gap.end}s instead of 0`;
+        this.addError(segmentPath(gap.index, 'start'), `Starts ${where} and the gap policy is "fail"`);
+      });
+    } else if (policy === 'cutaway') {
+      const manager = await new MetaVideoManager({
+        metaVideosDirectory: this.config.metaVideosDirectory
+      }).initialize();
+
+      if (!cutaway) {
+        this.addError('$', `${segmentation.gaps.length} gaps need a cutaway, but gaps.cutaway names no meta video`);
+      } else if (!manager.getMetaVideo('cutaway', cutaway)) {
+        this.addError('$', `Gap cutaway not found: cutaway:${cutaway} (looked in ${this.config.metaVideosDirectory})`);
+      }
+    }
+  }
+
+  /**
+   * Every video/speaker must resolve to a character file (characters.json names and aliases first)
+   */
+  async checkCharacters(segments, segmentPath) {
+    if (!await fs.pathExists(this.config.charactersDirectory)) {
+      this.addError('$', `Characters directory not found: ${this.config.charactersDirectory}`);
+      return;
+    }
+
+    const matcher = new CharacterMatcher(this.config.charactersDirectory);
+    await matcher.initialize();
+
+    segments.forEach((segment, index) => {
+      const videoName = segment.video || segment.speaker;
+      if (typeof videoName !== 'string') return;
+
+      const match = matcher.matchCharacter(videoName);
+      if (match) {
+        // With a manifest, guesses from file names are worth declaring as aliases
+        if (matcher.manifest && match.matchedBy === 'fuzzy') {
+          this.addWarning(segmentPath(index, 'video'), `"${videoName}" only matched ${match.character.filename} by guessing - add it to characters.json as an alias`);
+        }
+        return;
+      }
+
+      const suggestions = matcher.suggestMatches(videoName).slice(0, 3).map(s => s.character);
+      this.addError(
+        segmentPath(index, 'video'),
+        `No character file for "${videoName}"${suggestions.length > 0 ? ` (closest: ${suggestions.join(', ')})` : ''}`
+      );
+    });
+  }
+
+  /**
+   * Every included meta entry must name a video in the meta-videos directory
+   */
+  async checkMetaVideos(metaDefinitions) {
+    if (metaDefinitions.length === 0) return;
+
+    const manager = await new MetaVideoManager({
+      metaVideosDirectory: this.config.metaVideosDirectory
+    }).initialize();
+
+    metaDefinitions.forEach((meta, index) => {
+      if (meta.include === false || !meta.type || !meta.name) return;
+
+      if (!manager.getMetaVideo(meta.type, meta.name)) {
+        this.addError(`$.meta[${index}].name`, `Meta video not found: ${meta.type}:${meta.name} (looked in ${this.config.metaVideosDirectory})`);
+      }
+    });
+  }
+
+  /**
+   * Compare segment and meta timings with the length of the audio file
+   */
+  async checkAudioDuration(audioFile, segments, metaDefinitions, segmentPath) {
+    if (!await fs.pathExists(audioFile)) {
+      this.addError('$', `Audio file not found: ${audioFile}`);
+      return;
+    }
+
+    let audioDuration;
+    try {
+      audioDuration = (await new VideoProcessor().getVideoInfo(audioFile)).duration;
+    } catch (error) {
+      this.addWarning('$', `Could not read audio duration (${error.message}) - skipping duration checks`);
+      return;
+    }
+
+    segments.forEach((segment, index) => {
+      if (segment.endTime > audioDuration + DURATION_TOLERANCE) {
+        this.addError(
+          segmentPath(index, 'end'),
+          `Ends at ${segment.endTime}s, past the end of the audio (${audioDuration.toFixed(2)}s)`
+        );
+      }
+    });
+
+    const scriptEnd = segments.length > 0 ? Math.max(...segments.map(s => s.endTime)) : 0;
+    if (scriptEnd < audioDuration - DURATION_TOLERANCE) {
+      this.addWarning(
+        segmentPath(segments.length - 1, 'end'),
+        `Script ends at ${scriptEnd}s but the audio runs ${audioDuration.toFixed(2)}s - the last ${(audioDuration - scriptEnd).toFixed(2)}s will be cut`
+      );
+    }
+
+    const manager = new MetaVideoManager({ metaVideosDirectory: this.config.metaVideosDirectory });
+    metaDefinitions.forEach((meta, index) => {
+      if (meta.include === false) return;
+
+      const timing = meta.timing || {};
+      if (timing.start !== undefined && timing.start >= audioDuration) {
+        this.addError(`$.meta[${index}].timing.start`, `Starts at ${timing.start}s, past the end of the audio (${audioDuration.toFixed(2)}s)`);
+      } else if (!manager.processTiming(timing, audioDuration)) {
+        this.addError(`$.meta[${index}].timing`, `Timing does not fit within the audio (${audioDuration.toFixed(2)}s)`);
+      }
+    });
+  }
+}
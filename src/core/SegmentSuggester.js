@@ -0,0 +1,130 @@
+/**
+ * SegmentSuggester.js
+ * Turns detected pauses into segment boundaries: drafts a timestamp script with placeholder
+ * videos, or snaps the boundaries of an existing script to the nearest pause
+ */
+
+// Pauses this close to either end of the audio are lead-in/lead-out, not cut points
+const EDGE_TOLERANCE = 0.05;
+
+export class SegmentSuggester {
+  /**
+   * @param {Object} options
+   * @param {number} options.minSegment - Shortest segment a draft may contain (seconds)
+   * @param {number} options.maxShift - Furthest a boundary may move when snapping (seconds)
+   * @param {string} options.placeholder - Video name written into draft entries
+   */
+  constructor(options = {}) {
+    this.minSegment = options.minSegment ?? 1.0;
+    this.maxShift = options.maxShift ?? 1.0;
+    this.placeholder = options.placeholder || 'TODO';
+  }
+
+  /**
+   * Candidate cut points: the middle of every pause inside the audio
+   * @param {Array} silences - From VideoProcessor.detectSilence
+   * @param {number} audioDuration - Seconds
+   * @returns {number[]} Sorted times
+   */
+  getCutPoints(silences, audioDuration) {
+    return silences
+      .map(silence => ({ start: silence.start, end: silence.end ?? audioDuration }))
+      .filter(silence => silence.start > EDGE_TOLERANCE && silence.end < audioDuration - EDGE_TOLERANCE)
+      .map(silence => round((silence.start + silence.end) / 2))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Draft a timestamp script covering the whole audio, cut at pauses
+   * Cuts that would leave a segment shorter than minSegment are skipped
+   * @returns {Array<{video: string, start: number, end: number, dialogue: string}>}
+   */
+  createDraft(silences, audioDuration) {
+    const cuts = [];
+    let previous = 0;
+
+    for (const time of this.getCutPoints(silences, audioDuration)) {
+      if (time - previous >= this.minSegment) {
+        cuts.push(time);
+        previous = time;
+      }
+    }
+    if (cuts.length > 0 && audioDuration - cuts[cuts.length - 1] < this.minSegment) {
+      cuts.pop();
+    }
+
+    const boundaries = [0, ...cuts, round(audioDuration)];
+    return boundaries.slice(0, -1).map((start, index) => ({
+      video: this.placeholder,
+      start: start,
+      end: boundaries[index + 1],
+      dialogue: ''
+    }));
+  }
+
+  /**
+   * Move each start/end of a timestamp script to the nearest pause within maxShift
+   * Entries are copied; every other field is left as is
+   * @param {Array} entries - Timestamp-format dialogue entries
+   * @returns {{entries: Array, changes: Array<{index: number, field: string, from: number, to: number}>, unsnapped: Array<{index: number, field: string, time: number}>}}
+   */
+  snapScript(entries, silences, audioDuration) {
+    const cutPoints = this.getCutPoints(silences, audioDuration);
+    const changes = [];
+    const unsnapped = [];
+    const snapped = [];
+
+    entries.forEach((entry, index) => {
+      const result = { ...entry };
+      const previousOriginal = index > 0 ? entries[index - 1] : null;
+      const previousSnapped = index > 0 ? snapped[index - 1] : null;
+
+      // A start that matched the previous end stays glued to it; anything else snaps on its own
+      const glued = Boolean(previousOriginal) && entry.start === previousOriginal.end;
+      if (entry.start !== undefined) {
+        result.start = glued ? previousSnapped.end : this.snapTime(entry.start, cutPoints, audioDuration);
+      }
+      const start = result.start !== undefined ? result.start : (previousSnapped ? previousSnapped.end : 0);
+
+      result.end = this.snapTime(entry.end, cutPoints, audioDuration);
+      if (result.end <= start) {
+        result.end = entry.end;
+      }
+
+      for (const field of ['start', 'end']) {
+        if (entry[field] === undefined) continue;
+        if (result[field] !== entry[field]) {
+          changes.push({ index, field, from: entry[field], to: result[field] });
+        } else if (!(field === 'start' && glued) && !cutPoints.includes(entry[field]) &&
+                   entry[field] > EDGE_TOLERANCE && entry[field] < audioDuration - EDGE_TOLERANCE) {
+          unsnapped.push({ index, field, time: entry[field] });
+        }
+      }
+
+      snapped.push(result);
+    });
+
+    return { entries: snapped, changes, unsnapped };
+  }
+
+  /**
+   * Nearest cut point within maxShift; the very start and end of the audio never move
+   */
+  snapTime(time, cutPoints, audioDuration) {
+    if (time <= EDGE_TOLERANCE || time >= audioDuration - EDGE_TOLERANCE) {
+      return time;
+    }
+
+    let nearest = null;
+    for (const point of cutPoints) {
+      if (Math.abs(point - time) <= this.maxShift && (nearest === null || Math.abs(point - time) < Math.abs(nearest - time))) {
+        nearest = point;
+      }
+    }
+    return nearest ?? time;
+  }
+}
+
+function round(seconds) {
+  return Number(seconds.toFixed(2));
+}
@@ -0,0 +1,105 @@
+/**
+ * SubtitleParser.js
+ * Reads SRT and WebVTT subtitle files into timed cues with an optional speaker
+ * Speakers come from a WebVTT voice tag (<v Empress>) or a "NAME:" prefix on the cue text
+ */
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const VOICE_PATTERN = /<v(?:\.[\w.-]+)?\s+([^>]+)>/;
+// Capitalised words before a colon, so "ETSY2:" and "The Etsy Queen:" match but "I think: no" doesn't
+const PREFIX_PATTERN = /^-?\s*([A-Z][\w'.-]*(?:[ _][A-Z][\w'.-]*){0,3})\s*:(?:\s+(.*))?$/;
+
+export class SubtitleParser {
+  static isSubtitleFile(filePath) {
+    return /\.(srt|vtt)$/i.test(filePath);
+  }
+
+  /**
+   * WebVTT files must start with a WEBVTT header; anything else is treated as SRT
+   */
+  static detectFormat(content) {
+    return /^\uFEFF?WEBVTT/.test(content) ? 'vtt' : 'srt';
+  }
+
+  /**
+   * Parse subtitle text into cues
+   * @param {string} content - SRT or WebVTT file contents
+   * @returns {Array<{number: number, start: number, end: number, speaker: string|null, text: string}>}
+   */
+  static parse(content) {
+    const format = this.detectFormat(content);
+    const blocks = content
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(block => block.split('\n').filter(line => line.trim() !== ''))
+      .filter(lines => lines.length > 0);
+
+    const cues = [];
+
+    for (const lines of blocks) {
+      // WebVTT header and NOTE/STYLE/REGION blocks carry no cues
+      if (format === 'vtt' && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+      // The cue number (SRT) or identifier (WebVTT) sits on the line before the timing
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line.trim()));
+      if (timingIndex === -1 || timingIndex > 1) {
+        throw new Error(`Invalid ${format.toUpperCase()} cue near "${lines[0].trim()}": missing "start --> end" timing line`);
+      }
+
+      const [, start, end] = TIMING_PATTERN.exec(lines[timingIndex].trim());
+      const { speaker, text } = this.parseCueText(lines.slice(timingIndex + 1));
+
+      cues.push({
+        number: cues.length + 1,
+        start: this.parseTimestamp(start),
+        end: this.parseTimestamp(end),
+        speaker,
+        text
+      });
+    }
+
+    return cues;
+  }
+
+  /**
+   * Pull the speaker out of the cue text and strip markup
+   * Only the first speaker of a cue is used; lines are joined with spaces
+   */
+  static parseCueText(lines) {
+    let speaker = null;
+    const raw = lines.join('\n');
+
+    const voice = VOICE_PATTERN.exec(raw);
+    if (voice) {
+      speaker = voice[1].trim();
+    }
+
+    let text = raw
+      .replace(/<[^>]*>/g, '')   // WebVTT/SRT tags: <v>, <i>, <b>, <c.class>, timestamps
+      .replace(/\{\\[^}]*\}/g, '') // SSA-style overrides some SRT exporters emit: {\an8}
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join(' ');
+
+    if (!speaker) {
+      const prefix = PREFIX_PATTERN.exec(text);
+      if (prefix) {
+        speaker = prefix[1].trim();
+        text = (prefix[2] || '').trim();
+      }
+    }
+
+    return { speaker, text };
+  }
+
+  /**
+   * "01:02:03,456", "01:02:03.456" or "02:03.456" -> seconds
+   */
+  static parseTimestamp(value) {
+    const [clock, fraction] = value.split(/[.,]/);
+    const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return Number((seconds + Number(`0.${fraction}`)).toFixed(3));
+  }
+}
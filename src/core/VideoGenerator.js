@@ -5,9 +5,17 @@
 
 import { AudioSegmentation } from './AudioSegmentation.js';
 import { CharacterMatcher } from './CharacterMatcher.js';
-import { SyncAPI } from '../apis/SyncAPI.js';
+import { MockLipSyncAPI } from '../apis/MockLipSyncAPI.js';
 import { VideoProcessor } from './VideoProcessor.js';
 import { MetaVideoManager } from './MetaVideoManager.js';
+import { GenerationJournal } from '../services/GenerationJournal.js';
+import { LipSyncCache } from '../services/LipSyncCache.js';
+import { hashGenerationInputs, hashValue } from '../services/ContentHash.js';
+import { RetryPolicy } from '../services/RetryPolicy.js';
+import { DropboxUploader } from '../services/DropboxUploader.js';
+import { S3Uploader } from '../services/S3Uploader.js';
+import { LocalHttpUploader } from '../services/LocalHttpUploader.js';
+import { UploadLedger } from '../services/UploadLedger.js';
 import fs from 'fs-extra';
 import path from 'path';
 
@@ -19,11 +27,24 @@ export class VideoGenerator {
       verticalOutputDirectory: config.verticalOutputDirectory || './assets/exports/vertical',
       tempDirectory: config.tempDirectory || './assets/temp',
       syncApiKey: config.syncApiKey,
+      lipSyncProvider: config.lipSyncProvider || 'sync', // 'sync' or 'mock'
+      concurrentJobs: config.concurrentJobs || 1, // Lip-sync jobs kept in flight
+      onLipSyncFailure: config.onLipSyncFailure || 'fallback', // 'fail', 'fallback' or 'skip'
+      imageMotion: config.imageMotion || 'none', // Motion for still-image characters: 'none', 'zoom' or 'pan'
+      gapPolicy: config.gapPolicy || 'hold', // Gaps between segments: 'hold', 'extend', 'cutaway' or 'fail'
+      gapCutaway: config.gapCutaway || null, // Cutaway meta video for the 'cutaway' gap policy
+      takeRotation: config.takeRotation || 'round-robin', // Take choice for multi-take characters: 'round-robin', 'random' or 'least-recent'
+      takeSeed: config.takeSeed ?? null, // Seed for 'random'; defaults to one derived from the script
+      lipSyncCacheDirectory: config.lipSyncCacheDirectory || './assets/cache/lipsync',
+      journalPath: config.journalPath || path.join(config.tempDirectory || './assets/temp', 'lipsync-journal.json'),
+      uploadLedgerPath: config.uploadLedgerPath || path.join(config.tempDirectory || './assets/temp', 'remote-uploads.json'),
       ...config
     };
 
     this.characterMatcher = null;
-    this.syncAPI = null;
+    this.segmentCharacters = new Map(); // Segment id -> character entry (the take picked for it)
+    this.lipSyncProvider = null;
+    this.lipSyncCache = null;
     this.videoProcessor = null;
   }
 
@@ -41,19 +62,20 @@ export class VideoGenerator {
     this.characterMatcher = new CharacterMatcher(this.config.charactersDirectory);
     await this.characterMatcher.initialize();
 
-    // Initialize APIs
-    if (this.config.syncApiKey) {
-      this.syncAPI = new SyncAPI(
-        this.config.syncApiKey,
-        this.config.dropboxAccessToken || process.env.DROPBOX_ACCESS_TOKEN
-      );
-    } else {
-      console.warn('No Sync API key provided - lip-sync generation will be unavailable');
-    }
-
     // Initialize video processor
     this.videoProcessor = new VideoProcessor(this.config.tempDirectory);
 
+    // Initialize lip-sync provider
+    this.lipSyncProvider = await this.createLipSyncProvider(this.config.lipSyncProvider);
+
+    // Journal submitted generations so interrupted runs can be resumed
+    if (this.lipSyncProvider) {
+      this.lipSyncProvider.journal = await new GenerationJournal(this.config.journalPath).load();
+    }
+
+    // Reuse lip-sync results from earlier runs with identical inputs
+    this.lipSyncCache = new LipSyncCache(this.config.lipSyncCacheDirectory);
+
     // Initialize meta video manager
     this.metaVideoManager = await new MetaVideoManager({
       metaVideosDirectory: this.config.metaVideosDirectory || './assets/meta-videos'
@@ -63,10 +85,75 @@ export class VideoGenerator {
     return this;
   }
 
+  /**
+   * Create the lip-sync provider selected by name
+   * Returns null when the provider cannot be configured (e.g. missing API key)
+   */
+  async createLipSyncProvider(name) {
+    switch (name) {
+      case 'mock':
+        console.log('Using offline mock lip-sync provider');
+        return new MockLipSyncAPI({
+          ...(this.config.sync || {}),
+          tempDirectory: this.config.tempDirectory,
+          videoProcessor: this.videoProcessor
+        });
+
+      case 'sync': {
+        if (!this.config.syncApiKey) {
+          console.warn('No Sync API key provided - lip-sync generation will be unavailable');
+          return null;
+        }
+        // Loaded lazily so the mock provider works without the Sync SDK installed
+        const { SyncAPI } = await import('../apis/SyncAPI.js');
+        // Uploads and Sync calls share one retry policy so rate limits on either slow the scheduler
+        const retryPolicy = new RetryPolicy(this.config.sync || {});
+        const syncAPI = new SyncAPI(
+          this.config.syncApiKey,
+          this.createUploadBackend(retryPolicy),
+          { ...(this.config.sync || {}), retryPolicy }
+        );
+        // Remote paths are recorded on disk until deleted, for `cleanup-remote` after a failed run
+        syncAPI.uploadLedger = await new UploadLedger(this.config.uploadLedgerPath).load();
+        return syncAPI;
+      }
+
+      default:
+        throw new Error(`Unknown lip-sync provider: ${name} (expected 'sync' or 'mock')`);
+    }
+  }
+
+  /**
+   * Create the upload backend selected by config.upload.backend ('dropbox', 's3' or 'local')
+   * Returns null when Dropbox is selected but no token is available
+   */
+  createUploadBackend(retryPolicy) {
+    const upload = this.config.upload || {};
+    const backend = upload.backend || 'dropbox';
+
+    switch (backend) {
+      case 'dropbox': {
+        const token = this.config.dropboxAccessToken || process.env.DROPBOX_ACCESS_TOKEN;
+        return token ? new DropboxUploader(token, { ...(upload.dropbox || {}), retryPolicy }) : null;
+      }
+
+      case 's3':
+        console.log('Uploading lip-sync inputs to S3-compatible storage');
+        return new S3Uploader({ ...(upload.s3 || {}), retryPolicy });
+
+      case 'local':
+        console.log('Serving lip-sync inputs from a local HTTP server');
+        return new LocalHttpUploader({ ...(upload.local || {}), retryPolicy });
+
+      default:
+        throw new Error(`Unknown upload backend: ${backend} (expected 'dropbox', 's3' or 'local')`);
+    }
+  }
+
   /**
    * Generate video from audio file and segmentation data
    * @param {Object} params - Generation parameters
-   * @param {string} params.audioFile - Path to audio file
+   * @param {string} params.audioFile - Path to audio file; optional when every line has its own `audio` file
    * @param {Object|Array} params.segmentation - Voice segmentation data
    * @param {Object} params.options - Generation options
    */
@@ -74,11 +161,34 @@ export class VideoGenerator {
     const { audioFile, segmentation, options = {} } = params;
 
     try {
-      console.log(`Starting video generation for: ${audioFile}`);
+      console.log(`Starting video generation for: ${audioFile || 'per-line audio files'}`);
 
       // Step 1: Parse audio segmentation with meta video support
       console.log('Step 1: Parsing audio segmentation...');
       const audioSegments = await AudioSegmentation.parseWithMeta(audioFile, segmentation);
+
+      // Per-line audio replaces the master track with one assembled from the lines
+      let dialogueAudioFile = audioFile;
+      if (audioSegments.hasSegmentAudio()) {
+        if (audioFile) {
+          console.warn(`⚠️  Script lines have their own audio files - ignoring ${audioFile}`);
+        }
+        dialogueAudioFile = await this.prepareSegmentAudio(audioSegments);
+      } else if (!audioFile) {
+        throw new Error('An audio file is required unless every dialogue line has its own "audio" file');
+      }
+
+      // Clips are butted together, so gaps between segments have to be filled to stay in sync with the audio
+      const gapPolicy = options.gapPolicy || this.config.gapPolicy;
+      const gapCount = audioSegments.gaps.length;
+      const gapFillers = audioSegments.fillGaps(gapPolicy, { cutaway: this.config.gapCutaway });
+      if (gapCount > 0) {
+        console.log(`Filling ${gapCount} gaps between segments (${gapPolicy})`);
+      }
+      if (gapFillers.some(filler => filler.fill === 'cutaway') && !this.metaVideoManager.getMetaVideo('cutaway', this.config.gapCutaway)) {
+        throw new Error(`Gap cutaway not found: cutaway:${this.config.gapCutaway}`);
+      }
+
       const segments = audioSegments.getSegments();
       const metaDefinitions = audioSegments.metaDefinitions;
       
@@ -98,10 +208,16 @@ export class VideoGenerator {
 
       console.log('Speaker-character mapping validated:', 
         Object.keys(mappingValidation.matches).length, 'matches found');
+      if (this.characterMatcher.manifest && mappingValidation.fuzzy.length > 0) {
+        console.warn(`⚠️  Matched by guessing from file names, not characters.json: ${mappingValidation.fuzzy.join(', ')}`);
+      }
+
+      // Characters with several takes get one picked per segment
+      const takeSelection = this.assignSegmentTakes(segments, options);
 
       // Step 3: Extract audio segments
       console.log('Step 3: Extracting audio segments...');
-      const audioSegmentPaths = await this.extractAudioSegments(audioFile, segments);
+      const audioSegmentPaths = await this.extractAudioSegments(dialogueAudioFile, segments);
 
       // Step 3.5: Process meta video definitions
       let processedTimeline = segments;
@@ -120,15 +236,28 @@ export class VideoGenerator {
           // Step 4: Process segments (sync + non-sync)
     console.log('Step 4: Processing video segments...');
     const processedResults = await this.processAllSegments(processedTimeline, audioSegmentPaths, options);
+    await this.renderGapFillers(gapFillers, processedResults);
 
       // Step 5: Concatenate videos
       console.log('Step 5: Concatenating videos...');
-      const finalVideo = await this.concatenateVideos(processedResults, options, audioFile);
+      const finalVideo = await this.concatenateVideos(processedResults, options, dialogueAudioFile);
 
       // Step 6: Clean up temporary files (optional)
       if (options.cleanup !== false) {
         console.log('Step 6: Cleaning up temporary files...');
         await this.cleanup(audioSegmentPaths, processedResults);
+        if (dialogueAudioFile !== audioFile) {
+          await fs.remove(dialogueAudioFile);
+        }
+      }
+
+      // Where the vertical crop should sit while each character is on screen (characters.json verticalFocus)
+      const verticalFocus = this.buildFocusTimeline(segments);
+      if (verticalFocus.length > 0) {
+        finalVideo.verticalFocus = verticalFocus;
+      }
+      if (takeSelection.takes.length > 0) {
+        finalVideo.takeSelection = takeSelection;
       }
 
       console.log(`Video generation completed: ${finalVideo.outputPath}`);
@@ -140,6 +269,57 @@ export class VideoGenerator {
     }
   }
 
+  /**
+   * Pick a take for every segment whose character has several (see CharacterMatcher.assignTakes)
+   * The seed defaults to a hash of the script's timeline, so re-running or resuming the same
+   * script picks the same takes; a different --take-seed reshuffles them
+   * @returns {{strategy: string, seed: string, takes: Array<{segmentId: string, video: string, take: string}>}}
+   */
+  assignSegmentTakes(segments, options = {}) {
+    const strategy = options.takeRotation || this.config.takeRotation;
+    const seed = String(options.takeSeed ?? this.config.takeSeed ??
+      hashValue(segments.map(segment => [segment.video || segment.speaker, segment.startTime])).slice(0, 8));
+
+    const names = segments.map(segment => segment.video || segment.speaker);
+    const characters = this.characterMatcher.assignTakes(names, { strategy, seed });
+    const takes = [];
+
+    this.segmentCharacters = new Map();
+    segments.forEach((segment, index) => {
+      const character = characters[index];
+      if (!character) return;
+
+      this.segmentCharacters.set(segment.id, character);
+      const resolved = this.characterMatcher.findCharacter(names[index]);
+      if (resolved.takes && resolved.takes.length > 1) {
+        takes.push({ segmentId: segment.id, video: names[index], take: character.filename });
+      }
+    });
+
+    if (takes.length > 0) {
+      console.log(`   Takes (${strategy}, seed ${seed}): ${takes.map(t => `${t.segmentId}=${t.take}`).join(', ')}`);
+    }
+    return { strategy, seed, takes };
+  }
+
+  /**
+   * Character entry for a segment: its assigned take, else whatever the name resolves to
+   */
+  getSegmentCharacter(segment) {
+    return this.segmentCharacters.get(segment.id) || this.characterMatcher.findCharacter(segment.video || segment.speaker);
+  }
+
+  /**
+   * Time spans of segments whose character declares a verticalFocus, for convertToVertical
+   * @returns {Array<{start: number, end: number, focus: number}>}
+   */
+  buildFocusTimeline(segments) {
+    return segments
+      .map(segment => ({ segment, character: this.getSegmentCharacter(segment) }))
+      .filter(({ character }) => character && character.verticalFocus !== null && character.verticalFocus !== undefined)
+      .map(({ segment, character }) => ({ start: segment.startTime, end: segment.endTime, focus: character.verticalFocus }));
+  }
+
   /**
    * Handle speaker-character mapping errors
    */
@@ -162,6 +342,36 @@ export class VideoGenerator {
     throw new Error(`Missing character files for speakers: ${missing.join(', ')}`);
   }
 
+  /**
+   * Per-line audio: measure each line's file, lay the segments end to end and assemble the
+   * dialogue track that gets sliced for lip-sync and muxed onto the final video
+   * @returns {Promise<string>} Path of the assembled track in the temp directory
+   */
+  async prepareSegmentAudio(audioSegmentation) {
+    const clipDurations = {};
+
+    for (const segment of audioSegmentation.getSegments()) {
+      if (!segment.audio) continue;
+
+      if (!await fs.pathExists(segment.audio)) {
+        throw new Error(`Audio file not found for ${segment.id}: ${segment.audio}`);
+      }
+      clipDurations[segment.id] = (await this.videoProcessor.getVideoInfo(segment.audio)).duration;
+    }
+
+    const segments = audioSegmentation.applyClipDurations(clipDurations);
+    const totalDuration = segments[segments.length - 1].endTime;
+    console.log(`   Timeline built from ${Object.keys(clipDurations).length} audio files (${totalDuration.toFixed(1)}s)`);
+
+    const trackPath = path.join(this.config.tempDirectory, `dialogue_track_${Date.now()}.wav`);
+    await this.videoProcessor.assembleAudioTrack(
+      segments.map(segment => ({ path: segment.audio, duration: segment.duration })),
+      trackPath
+    );
+
+    return trackPath;
+  }
+
   /**
    * Extract individual audio segments from the main audio file
    */
@@ -218,7 +428,9 @@ export class VideoGenerator {
       errors: [...syncResults.errors, ...cutawayResults.errors],
       total: segments.length,
       syncCount: syncSegments.length,
-      cutawayCount: noSyncSegments.length
+      cutawayCount: noSyncSegments.length,
+      fallbacks: syncResults.fallbacks || [],
+      cache: syncResults.cache || null
     };
     
     // Sort by original segment order
@@ -235,49 +447,210 @@ export class VideoGenerator {
    * Generate lip-sync videos for sync segments only
    */
   async generateLipSyncVideos(segments, audioSegmentPaths, options) {
-    if (!this.syncAPI) {
-      throw new Error('Sync API not initialized - cannot generate lip-sync videos');
+    if (!this.lipSyncProvider) {
+      throw new Error('Lip-sync provider not initialized - cannot generate lip-sync videos');
     }
 
     const generationOptions = {
       audioPath: null, // Will be set per segment
       generationOptions: options.lipSync || {},
-      batchSize: options.batchSize || 1  // Process one at a time to avoid rate limits
+      concurrency: options.concurrentJobs || this.config.concurrentJobs || 1,
+      resume: options.resume === true
     };
 
     // Prepare segments with their audio paths and preprocess character videos
     console.log('   Preprocessing character videos...');
     const segmentsWithAudio = await Promise.all(segments.map(async (segment) => {
       const videoName = segment.video || segment.speaker;
-      const originalVideoPath = path.join(this.config.charactersDirectory, `${videoName}.mp4`);
-      
-      // Check if the original video file exists
-      if (!fs.existsSync(originalVideoPath)) {
-        throw new Error(`Video file not found: ${originalVideoPath}`);
+      const character = this.getSegmentCharacter(segment);
+
+      if (!character) {
+        throw new Error(`No character file found for: ${videoName}`);
+      }
+
+      const preprocessedVideoPath = path.join(this.config.tempDirectory, `preprocessed_${segment.id}_${character.name}.mp4`);
+
+      if (character.fileType === 'image') {
+        // Still image: render a clip of the segment's length, optionally with a slow zoom or pan
+        await this.videoProcessor.createClipFromImage(
+          character.filePath,
+          preprocessedVideoPath,
+          segment.duration,
+          { motion: segment.motion || options.imageMotion || this.config.imageMotion }
+        );
+      } else {
+        // Preprocess video: normalize to 16:9 and clip to audio duration
+        await this.videoProcessor.preprocessVideoForLipSync(
+          character.filePath,
+          preprocessedVideoPath,
+          segment.duration,
+          { range: character.range || null }
+        );
       }
-      
-      // Preprocess video: normalize to 16:9 and clip to audio duration
-      const preprocessedVideoPath = path.join(this.config.tempDirectory, `preprocessed_${segment.id}_${videoName}.mp4`);
-      await this.videoProcessor.preprocessVideoForLipSync(
-        originalVideoPath,
-        preprocessedVideoPath,
-        segment.duration
-      );
       
       return {
         ...segment,
         audioPath: audioSegmentPaths[segment.id],
         characterVideoPath: preprocessedVideoPath,
-        originalVideoPath: originalVideoPath
+        originalVideoPath: character.filePath
       };
     }));
 
-    // Generate videos in batches
-    return await this.syncAPI.generateBatch(
+    // Reuse cached results and only submit the misses
+    const { hits, misses } = await this.lookupLipSyncCache(segmentsWithAudio, options);
+
+    const batchResults = misses.length > 0
+      ? await this.lipSyncProvider.generateBatch(misses, this.characterMatcher, generationOptions)
+      : { successful: [], errors: [], total: 0, successCount: 0, errorCount: 0 };
+
+    await this.storeLipSyncResults(batchResults.successful, misses);
+
+    // Decide what happens to segments whose lip-sync failed
+    const { errors, fallbacks } = await this.applyLipSyncFailurePolicy(
+      batchResults.errors,
       segmentsWithAudio,
-      this.characterMatcher,
-      generationOptions
+      options.onLipSyncFailure || this.config.onLipSyncFailure
     );
+
+    const successful = [...hits, ...batchResults.successful, ...fallbacks];
+
+    return {
+      ...batchResults,
+      successful,
+      errors,
+      fallbacks: fallbacks.map(f => ({ segmentId: f.segmentId, speaker: f.speaker, error: f.error })),
+      total: segments.length,
+      successCount: successful.length,
+      errorCount: errors.length,
+      cache: {
+        hits: hits.length,
+        misses: misses.length,
+        secondsSaved: hits.reduce((sum, hit) => sum + hit.duration, 0)
+      }
+    };
+  }
+
+  /**
+   * Apply the per-run failure policy to failed lip-sync segments
+   * - fail: abort the run
+   * - fallback: render a non-synced clip of the same character, exactly as long as the segment
+   * - skip: drop the segment (the final audio overlay will drift after it)
+   */
+  async applyLipSyncFailurePolicy(errors, segments, policy = 'fallback') {
+    if (errors.length === 0 || policy === 'skip') {
+      return { errors, fallbacks: [] };
+    }
+
+    if (policy === 'fail') {
+      throw new Error(`Lip-sync failed for ${errors.length} segment(s): ` +
+        errors.map(e => `${e.segmentId} (${e.speaker}): ${e.error}`).join('; '));
+    }
+
+    if (policy !== 'fallback') {
+      throw new Error(`Unknown lip-sync failure policy: ${policy} (expected fail, fallback or skip)`);
+    }
+
+    const remainingErrors = [];
+    const fallbacks = [];
+
+    for (const error of errors) {
+      const segment = segments.find(s => s.id === error.segmentId);
+
+      try {
+        const outputPath = path.join(this.config.tempDirectory, `${segment.id}_${segment.speaker}_fallback.mp4`);
+        await this.videoProcessor.muxAudioOntoVideo(
+          segment.characterVideoPath,
+          segment.audioPath,
+          outputPath,
+          segment.duration
+        );
+
+        console.log(`   ⚠️  Lip-sync failed for ${segment.id}, using non-synced fallback (${segment.duration}s)`);
+        fallbacks.push({
+          segmentId: segment.id,
+          speaker: segment.speaker,
+          videoPath: outputPath,
+          duration: segment.duration,
+          startTime: segment.startTime,
+          endTime: segment.endTime,
+          type: 'fallback',
+          needsRetry: true,
+          error: error.error
+        });
+      } catch (fallbackError) {
+        remainingErrors.push({
+          ...error,
+          error: `${error.error}; fallback render failed: ${fallbackError.message}`
+        });
+      }
+    }
+
+    return { errors: remainingErrors, fallbacks };
+  }
+
+  /**
+   * Split preprocessed segments into cache hits (already materialized in temp) and misses
+   */
+  async lookupLipSyncCache(segments, options) {
+    const hits = [];
+    const misses = [];
+    const provider = this.lipSyncProvider.name;
+
+    for (const segment of segments) {
+      const inputHashes = await hashGenerationInputs(
+        segment.characterVideoPath,
+        segment.audioPath,
+        this.lipSyncProvider.getGenerationSettings(options.lipSync || {})
+      );
+      const cacheKey = this.lipSyncCache.keyFor(provider, inputHashes);
+      const cached = options.cache !== false ? await this.lipSyncCache.get(cacheKey) : null;
+
+      if (!cached) {
+        misses.push({ ...segment, inputHashes, cacheKey });
+        continue;
+      }
+
+      // Copy out of the cache - temp results are deleted during cleanup
+      const outputPath = path.join(this.config.tempDirectory, `${segment.id}_${segment.speaker}.mp4`);
+      await fs.copy(cached.videoPath, outputPath);
+      console.log(`   💾 Cache hit: ${segment.id} (${segment.speaker}, ${segment.duration}s)`);
+
+      hits.push({
+        segmentId: segment.id,
+        speaker: segment.speaker,
+        videoPath: outputPath,
+        duration: segment.duration,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        generationId: cached.metadata.generationId || null,
+        provider,
+        cached: true
+      });
+    }
+
+    console.log(`   Lip-sync cache: ${hits.length} hits, ${misses.length} misses`);
+    return { hits, misses };
+  }
+
+  /**
+   * Store freshly generated lip-sync results in the cache
+   */
+  async storeLipSyncResults(results, segments) {
+    for (const result of results) {
+      const segment = segments.find(s => s.id === result.segmentId);
+      if (!segment || !segment.cacheKey) continue;
+
+      try {
+        await this.lipSyncCache.put(segment.cacheKey, result.videoPath, {
+          provider: result.provider,
+          generationId: result.generationId,
+          duration: result.duration,
+          inputHashes: segment.inputHashes
+        });
+      } catch (error) {
+        console.warn(`⚠️  Failed to cache lip-sync result for ${result.segmentId}: ${error.message}`);
+      }
+    }
   }
 
   /**
@@ -295,7 +668,7 @@ export class VideoGenerator {
     for (const segment of segments) {
       try {
         const videoName = segment.video || segment.speaker;
-        const character = this.characterMatcher.findCharacter(videoName);
+        const character = this.getSegmentCharacter(segment);
         
         if (!character) {
           throw new Error(`No character video found for: ${videoName}`);
@@ -309,13 +682,22 @@ export class VideoGenerator {
         
         await fs.ensureDir(path.dirname(outputPath));
         
-        // Use video processor to trim the character video to segment duration
-        await this.videoProcessor.trimVideo(
-          character.filePath,
-          outputPath,
-          0, // Start from beginning of character video
-          segment.duration // Duration of this segment
-        );
+        if (character.fileType === 'image') {
+          await this.videoProcessor.createClipFromImage(
+            character.filePath,
+            outputPath,
+            segment.duration,
+            { motion: segment.motion || options.imageMotion || this.config.imageMotion }
+          );
+        } else {
+          // Use video processor to trim the character video to segment duration
+          await this.videoProcessor.trimVideo(
+            character.filePath,
+            outputPath,
+            character.range ? character.range.start || 0 : 0, // Start of the take's usable part (characters.json), else the beginning
+            segment.duration // Duration of this segment
+          );
+        }
         
         results.successful.push({
           segmentId: segment.id,
@@ -342,6 +724,46 @@ export class VideoGenerator {
     return results;
   }
 
+  /**
+   * Render the clips that fill gaps between segments (see AudioSegmentation.fillGaps)
+   * They join the results with their start time so concatenation puts them in place
+   */
+  async renderGapFillers(fillers, processedResults) {
+    for (const filler of fillers) {
+      const outputPath = path.join(this.config.tempDirectory, `${filler.id}_${filler.fill}.mp4`);
+      let speaker = filler.video;
+      const source = filler.fill === 'hold'
+        ? processedResults.successful.find(result => result.segmentId === filler.holdSegmentId)
+        : null;
+
+      if (filler.fill === 'cutaway') {
+        const metaVideo = this.metaVideoManager.getMetaVideo('cutaway', filler.video);
+        await this.videoProcessor.createLoopedClip(metaVideo.filePath, outputPath, filler.duration);
+      } else if (!source) {
+        // Skipping the gap would leave the video shorter than the audio again, so keep its length in black
+        console.warn(`   ⚠️  No clip to hold over the gap at ${filler.startTime}s - ${filler.endTime}s (${filler.holdSegmentId} failed), filling it with black`);
+        await this.videoProcessor.createBlankClip(outputPath, filler.duration);
+      } else {
+        speaker = source.speaker;
+        const framePath = outputPath.replace(/\.mp4$/, '.png');
+        await this.videoProcessor.extractFrame(source.videoPath, framePath, { position: filler.holdFrame });
+        await this.videoProcessor.createClipFromImage(framePath, outputPath, filler.duration, { motion: 'none' });
+        await fs.remove(framePath);
+      }
+
+      console.log(`   ✅ Gap filled: ${filler.startTime}s - ${filler.endTime}s (${filler.fill})`);
+      processedResults.successful.push({
+        segmentId: filler.id,
+        speaker,
+        videoPath: outputPath,
+        duration: filler.duration,
+        startTime: filler.startTime,
+        endTime: filler.endTime,
+        type: 'gap'
+      });
+    }
+  }
+
   /**
    * Concatenate all generated videos into final output
    */
@@ -361,6 +783,12 @@ export class VideoGenerator {
         errors.map(e => `${e.speaker}: ${e.error}`));
     }
 
+    const fallbacks = lipSyncResults.fallbacks || [];
+    if (fallbacks.length > 0) {
+      console.warn(`${fallbacks.length} segments rendered without lip-sync and need a retry:`,
+        fallbacks.map(f => f.segmentId));
+    }
+
     // Sort videos by original segment order
     const sortedVideos = successful.sort((a, b) => a.startTime - b.startTime);
     const videoPaths = sortedVideos.map(v => v.videoPath);
@@ -400,8 +828,10 @@ export class VideoGenerator {
     return {
       outputPath,
       verticalOutputPath,
-      segmentCount: successful.length,
+      segmentCount: successful.filter(v => v.type !== 'gap').length,
       failedCount: errors.length,
+      needsRetry: fallbacks.length > 0 ? fallbacks : null,
+      cache: lipSyncResults.cache || null,
       duration: sortedVideos.reduce((sum, v) => sum + v.duration, 0),
       errors: errors.length > 0 ? errors : null
     };
@@ -439,9 +869,15 @@ export class VideoGenerator {
         }
       }
 
-      // Clean up Dropbox uploads
-      if (this.syncAPI) {
-        await this.syncAPI.cleanup();
+      // Clean up remote uploads
+      if (this.lipSyncProvider) {
+        await this.lipSyncProvider.cleanup();
+
+        // Journal is only needed to resume a run that didn't finish cleanly
+        const incomplete = lipSyncResults.errors.length > 0 || (lipSyncResults.fallbacks || []).length > 0;
+        if (this.lipSyncProvider.journal && !incomplete) {
+          await this.lipSyncProvider.journal.clear();
+        }
       }
 
       console.log('Temporary files cleaned up');
@@ -465,7 +901,8 @@ export class VideoGenerator {
         summary: this.metaVideoManager ? this.metaVideoManager.getMetaVideosSummary() : null
       },
       syncAPI: {
-        initialized: !!this.syncAPI,
+        initialized: !!this.lipSyncProvider,
+        provider: this.config.lipSyncProvider,
         apiKey: this.config.syncApiKey ? 'configured' : 'missing'
       },
       videoProcessor: {
@@ -479,9 +916,9 @@ export class VideoGenerator {
     };
 
     // Check API status if available
-    if (this.syncAPI) {
+    if (this.lipSyncProvider) {
       try {
-        status.syncAPI.status = await this.syncAPI.checkStatus();
+        status.syncAPI.status = await this.lipSyncProvider.checkStatus();
       } catch (error) {
         status.syncAPI.error = error.message;
       }
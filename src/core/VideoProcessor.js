@@ -96,8 +96,18 @@ export class VideoProcessor {
     console.log(`Preprocessing video: ${path.basename(inputVideoPath)} (${videoDuration}s, will sync to ${audioDuration}s audio)`);
 
     return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputVideoPath);
+
+      // Only the usable part of the take (characters.json range) goes to lip-sync
+      if (options.range) {
+        command.seekInput(options.range.start || 0);
+        if (options.range.end !== undefined) {
+          command.duration(options.range.end - (options.range.start || 0));
+        }
+      }
+
       // Simple preprocessing: just normalize format, let Sync API handle duration with bounce mode
-      ffmpeg(inputVideoPath)
+      command
         .videoFilters([
           `scale=${targetWidth}:${targetHeight}:force_original_aspect_ratio=decrease`,
           `pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:black`
@@ -124,6 +134,184 @@ export class VideoProcessor {
     });
   }
 
+  /**
+   * Render a still image as a video clip of the given duration
+   * Motion: 'none' holds the frame, 'zoom' slowly pushes in, 'pan' drifts left to right
+   */
+  async createClipFromImage(imagePath, outputVideoPath, duration, options = {}) {
+    const targetWidth = options.width || 1920;
+    const targetHeight = options.height || 1080;
+    const fps = options.fps || 24;
+    const motion = options.motion || 'none';
+    const frames = Math.ceil(duration * fps);
+
+    const fitFilters = [
+      `scale=${targetWidth}:${targetHeight}:force_original_aspect_ratio=decrease`,
+      `pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:black`
+    ];
+
+    let videoFilters;
+    if (motion === 'zoom') {
+      // Upscale before zoompan to avoid the jitter it shows at native resolution
+      videoFilters = [
+        ...fitFilters,
+        `scale=${targetWidth * 2}:${targetHeight * 2}`,
+        `zoompan=z='1+0.08*on/${frames}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=${frames}:s=${targetWidth}x${targetHeight}:fps=${fps}`
+      ];
+    } else if (motion === 'pan') {
+      videoFilters = [
+        ...fitFilters,
+        `scale=${targetWidth * 2}:${targetHeight * 2}`,
+        `zoompan=z=1.1:x='(iw-iw/zoom)*on/${frames}':y='ih/2-(ih/zoom/2)':d=${frames}:s=${targetWidth}x${targetHeight}:fps=${fps}`
+      ];
+    } else if (motion === 'none') {
+      videoFilters = [...fitFilters, `fps=${fps}`];
+    } else {
+      throw new Error(`Unknown image motion: ${motion} (expected none, zoom or pan)`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(imagePath);
+
+      // zoompan generates every frame from the single input; a static hold needs the image looped
+      if (motion === 'none') {
+        command.inputOptions(['-loop', '1']);
+      }
+
+      command
+        .videoFilters(videoFilters)
+        .duration(duration)
+        .outputOptions([
+          '-c:v', 'libx264',
+          '-pix_fmt', 'yuv420p', // PNG input would otherwise produce yuv444, which many players reject
+          '-preset', 'medium',
+          '-crf', '23'
+        ])
+        .output(outputVideoPath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg image clip (${motion}): ${commandLine}`);
+        })
+        .on('end', () => {
+          console.log(`Image clip created: ${outputVideoPath}`);
+          resolve(outputVideoPath);
+        })
+        .on('error', (error) => {
+          console.error(`Image clip creation failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Save the first or last frame of a video as an image, e.g. to hold it over a gap
+   * @param {Object} options - { position: 'first' | 'last' }
+   */
+  async extractFrame(videoPath, imagePath, options = {}) {
+    const position = options.position || 'last';
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath);
+
+      if (position === 'last') {
+        // Decode only the tail and keep overwriting the image, so the final frame is what's left
+        command.inputOptions(['-sseof', '-0.5']).outputOptions(['-update', '1']);
+      } else {
+        command.outputOptions(['-frames:v', '1']);
+      }
+
+      command
+        .output(imagePath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg ${position} frame: ${commandLine}`);
+        })
+        .on('end', () => {
+          resolve(imagePath);
+        })
+        .on('error', (error) => {
+          console.error(`Frame extraction failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Render a video at an exact duration, looping it if it's too short, fitted to the output frame
+   * and without audio - for cutaways that fill gaps in the dialogue
+   */
+  async createLoopedClip(inputVideoPath, outputVideoPath, duration, options = {}) {
+    const targetWidth = options.width || 1920;
+    const targetHeight = options.height || 1080;
+    const fps = options.fps || 24;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputVideoPath)
+        .inputOptions(['-stream_loop', '-1'])
+        .videoFilters([
+          `scale=${targetWidth}:${targetHeight}:force_original_aspect_ratio=decrease`,
+          `pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:black`,
+          `fps=${fps}`
+        ])
+        .duration(duration)
+        .noAudio()
+        .outputOptions([
+          '-c:v', 'libx264',
+          '-pix_fmt', 'yuv420p',
+          '-preset', 'medium',
+          '-crf', '23'
+        ])
+        .output(outputVideoPath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg looped clip: ${commandLine}`);
+        })
+        .on('end', () => {
+          console.log(`Looped clip created: ${outputVideoPath}`);
+          resolve(outputVideoPath);
+        })
+        .on('error', (error) => {
+          console.error(`Looped clip creation failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Render black frames at an exact duration, without audio - the last-resort gap filler
+   */
+  async createBlankClip(outputVideoPath, duration, options = {}) {
+    const targetWidth = options.width || 1920;
+    const targetHeight = options.height || 1080;
+    const fps = options.fps || 24;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(`color=c=black:s=${targetWidth}x${targetHeight}:r=${fps}`)
+        .inputOptions(['-f', 'lavfi'])
+        .duration(duration)
+        .outputOptions([
+          '-c:v', 'libx264',
+          '-pix_fmt', 'yuv420p',
+          '-preset', 'medium',
+          '-crf', '23'
+        ])
+        .output(outputVideoPath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg blank clip: ${commandLine}`);
+        })
+        .on('end', () => {
+          console.log(`Blank clip created: ${outputVideoPath}`);
+          resolve(outputVideoPath);
+        })
+        .on('error', (error) => {
+          console.error(`Blank clip creation failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
   /**
    * Extract video segment from video file
    */
@@ -183,6 +371,197 @@ export class VideoProcessor {
     });
   }
 
+  /**
+   * Join per-line audio files into one dialogue track
+   * Each clip is padded or trimmed to its exact duration so the track lines up with the video
+   * timeline; entries without a file become silence
+   * @param {Array<{path: string|null, duration: number}>} clips - In timeline order
+   */
+  async assembleAudioTrack(clips, outputPath, options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+
+    return new Promise((resolve, reject) => {
+      console.log(`🎙️  Assembling dialogue track from ${clips.filter(clip => clip.path).length} audio files`);
+
+      const command = ffmpeg();
+      const filters = [];
+
+      clips.forEach((clip, index) => {
+        if (clip.path) {
+          command.input(clip.path);
+        } else {
+          command.input(`anullsrc=r=${sampleRate}:cl=mono`).inputOptions(['-f', 'lavfi']);
+        }
+        filters.push(
+          `[${index}:a]aresample=${sampleRate},aformat=channel_layouts=mono,apad,` +
+          `atrim=0:${clip.duration.toFixed(3)},asetpts=N/SR/TB[a${index}]`
+        );
+      });
+      filters.push(`${clips.map((clip, index) => `[a${index}]`).join('')}concat=n=${clips.length}:v=0:a=1[dialogue]`);
+
+      command
+        .complexFilter(filters, 'dialogue')
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg dialogue track: ${commandLine}`);
+        })
+        .on('end', () => {
+          console.log(`✅ Dialogue track assembled: ${outputPath}`);
+          resolve(outputPath);
+        })
+        .on('error', (error) => {
+          console.error(`❌ Dialogue track assembly failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Find pauses with FFmpeg's silencedetect filter
+   * @param {Object} options - noise (threshold in dB, default -35), minDuration (shortest pause in seconds, default 0.4)
+   * @returns {Promise<Array<{start: number, end: number|null, duration: number|null}>>} end is null for silence running to the end of the file
+   */
+  async detectSilence(audioPath, options = {}) {
+    const noise = options.noise ?? -35;
+    const minDuration = options.minDuration ?? 0.4;
+    const log = [];
+
+    return new Promise((resolve, reject) => {
+      console.log(`🔇 Detecting pauses in ${path.basename(audioPath)} (below ${noise}dB for ${minDuration}s+)`);
+
+      ffmpeg(audioPath)
+        .noVideo()
+        .audioFilters(`silencedetect=noise=${noise}dB:d=${minDuration}`)
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => log.push(line))
+        .on('end', () => {
+          const silences = this.parseSilenceLog(log);
+          console.log(`✅ Found ${silences.length} pauses`);
+          resolve(silences);
+        })
+        .on('error', (error) => {
+          console.error(`❌ Silence detection failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Find black borders (letterboxing or pillarboxing) with cropdetect over the start of a clip
+   * @param {Object} options - { duration } seconds to analyze (default 10)
+   * @returns {Promise<{width: number, height: number, x: number, y: number}|null>} Area with picture in it
+   */
+  async detectBlackBorders(videoPath, options = {}) {
+    const duration = options.duration ?? 10;
+    const log = [];
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .noAudio()
+        .videoFilters('cropdetect=limit=24:round=2:reset=0')
+        .duration(duration)
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => log.push(line))
+        .on('end', () => resolve(this.parseCropLog(log)))
+        .on('error', (error) => {
+          console.error(`❌ Border detection failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * cropdetect keeps widening its box (reset=0), so the last "crop=w:h:x:y" covers every frame seen
+   */
+  parseCropLog(lines) {
+    let crop = null;
+
+    for (const line of lines) {
+      const match = /crop=(\d+):(\d+):(\d+):(\d+)/.exec(line);
+      if (match) {
+        const [width, height, x, y] = match.slice(1).map(Number);
+        crop = { width, height, x, y };
+      }
+    }
+
+    return crop;
+  }
+
+  /**
+   * Find scene cuts: frames whose scene-change score is above the threshold
+   * @param {Object} options - { threshold } 0-1 (default 0.3), { start, end } seconds to limit the search
+   * @returns {Promise<number[]>} Cut times in seconds from the start of the file
+   */
+  async detectSceneCuts(videoPath, options = {}) {
+    const threshold = options.threshold ?? 0.3;
+    const start = options.start || 0;
+    const log = [];
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath);
+      if (start > 0) {
+        command.seekInput(start);
+      }
+      if (options.end !== undefined) {
+        command.duration(options.end - start);
+      }
+
+      command
+        .noAudio()
+        .videoFilters([`select='gt(scene,${threshold})'`, 'showinfo'])
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => log.push(line))
+        .on('end', () => resolve(this.parseSceneLog(log).map(time => Number((time + start).toFixed(2)))))
+        .on('error', (error) => {
+          console.error(`❌ Scene detection failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * showinfo prints one "pts_time:12.345" line per frame that passed the scene filter
+   */
+  parseSceneLog(lines) {
+    return lines
+      .map(line => /showinfo.*pts_time:\s*([\d.]+)/.exec(line))
+      .filter(Boolean)
+      .map(match => parseFloat(match[1]));
+  }
+
+  /**
+   * Read silencedetect's "silence_start: 1.23" / "silence_end: 2.5 | silence_duration: 1.27" lines
+   */
+  parseSilenceLog(lines) {
+    const silences = [];
+
+    for (const line of lines) {
+      const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+      if (start) {
+        silences.push({ start: Math.max(0, parseFloat(start[1])), end: null, duration: null });
+        continue;
+      }
+
+      const end = /silence_end:\s*([\d.]+)\s*\|\s*silence_duration:\s*([\d.]+)/.exec(line);
+      if (end && silences.length > 0) {
+        const silence = silences[silences.length - 1];
+        silence.end = parseFloat(end[1]);
+        silence.duration = parseFloat(end[2]);
+      }
+    }
+
+    return silences;
+  }
+
   /**
    * Concatenate multiple video files into one
    */
@@ -311,9 +690,21 @@ export class VideoProcessor {
         const xOffset = (sourceWidth - cropWidth) / 2;  // Center horizontally
         
         console.log(`📐 9:16 crop calculation: ${cropWidth}x${sourceHeight} (removing ${xOffset}px from each side)`);
+
+        // Characters with a verticalFocus get the crop moved over them while they're on screen
+        const spans = verticalOptions.focusTimeline || [];
+        const offsetFor = focus => Math.round((sourceWidth - cropWidth) * focus);
+        const x = spans.reduceRight(
+          (expression, span) => `if(between(t,${span.start},${span.end}),${offsetFor(span.focus)},${expression})`,
+          `${xOffset}`
+        );
+        if (spans.length > 0) {
+          console.log(`📐 Crop follows ${spans.length} character focus spans`);
+        }
         
         videoFilters = [
-          `crop=${cropWidth}:${sourceHeight}:${xOffset}:0`  // Perfect 9:16 center crop
+          // Perfect 9:16 center crop; the quoted per-frame expression keeps its commas out of the filter graph
+          `crop=${cropWidth}:${sourceHeight}:${spans.length > 0 ? `'${x}'` : xOffset}:0`
         ];
       } else {
         // Auto: intelligent scaling based on content (default to fit)
@@ -411,6 +802,40 @@ export class VideoProcessor {
     });
   }
 
+  /**
+   * Replace a video's audio with a new track, looping or trimming the video to the given duration
+   */
+  async muxAudioOntoVideo(videoPath, audioPath, outputPath, duration) {
+    return new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(videoPath)
+        .inputOptions(['-stream_loop', '-1']) // Loop short clips to cover the audio
+        .input(audioPath)
+        .duration(duration)
+        .outputOptions([
+          '-map', '0:v:0',
+          '-map', '1:a:0',
+          '-c:v', 'libx264',
+          '-c:a', 'aac',
+          '-preset', 'veryfast',
+          '-crf', '23'
+        ])
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          console.log(`FFmpeg audio mux: ${commandLine}`);
+        })
+        .on('end', () => {
+          console.log(`Audio mux completed: ${outputPath}`);
+          resolve(outputPath);
+        })
+        .on('error', (error) => {
+          console.error(`Audio mux failed: ${error.message}`);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
   /**
    * Get video information (duration, resolution, format, etc.)
    */
@@ -493,6 +918,7 @@ export class VideoProcessor {
               width: videoStream.width,
               height: videoStream.height,
               fps: eval(videoStream.r_frame_rate), // e.g., "30/1" -> 30
+              avgFps: parseFrameRate(videoStream.avg_frame_rate), // Differs from fps for variable frame rate footage
               bitrate: parseInt(videoStream.bit_rate) || null
             } : null,
             audio: audioStream ? {
@@ -836,3 +1262,11 @@ export class VideoProcessor {
     });
   }
 }
+
+/**
+ * "30000/1001" -> 29.97; null for ffprobe's "0/0" (unknown)
+ */
+function parseFrameRate(rate) {
+  const [numerator, denominator] = String(rate || '').split('/').map(Number);
+  return numerator > 0 && denominator > 0 ? numerator / denominator : null;
+}
@@ -0,0 +1,48 @@
+/**
+ * ContentHash.js
+ * SHA-256 helpers for identifying lip-sync inputs by content rather than by path
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+/**
+ * Hash a file's contents, streaming from disk
+ * @param {string} filePath - Local file path
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Hash a JSON-serializable value with sorted keys so option order doesn't matter
+ */
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash the full set of inputs for one lip-sync generation
+ * @returns {Promise<{video: string, audio: string, options: string}>}
+ */
+export async function hashGenerationInputs(videoPath, audioPath, options = {}) {
+  const [video, audio] = await Promise.all([hashFile(videoPath), hashFile(audioPath)]);
+  return { video, audio, options: hashValue(options) };
+}
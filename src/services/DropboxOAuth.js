@@ -1,17 +1,25 @@
 import { Dropbox } from 'dropbox';
-import fs from 'fs-extra';
+import crypto from 'crypto';
+import http from 'http';
+import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { TokenStore } from './TokenStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Dropbox only redirects to URIs registered on the app, port included, so the callback listens on a fixed port
+export const DEFAULT_CALLBACK_PORT = 53682;
+
 export class DropboxOAuth {
   constructor(clientId, clientSecret) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.redirectUri = 'https://localhost';
-    this.tokenPath = path.join(process.cwd(), '.dropbox-tokens.json');
+    // Encrypted, per-user; tokens from the old plain-text file in the CWD are migrated on first load
+    this.tokenStore = new TokenStore({ legacyPath: path.join(process.cwd(), '.dropbox-tokens.json') });
+    this.tokenPath = this.tokenStore.filePath;
     
     this.dbx = new Dropbox({
       clientId: this.clientId,
@@ -21,38 +29,183 @@ export class DropboxOAuth {
 
   /**
    * Get the authorization URL for OAuth flow
+   * @param {Object} options - { redirectUri, codeChallenge, state } for the loopback PKCE flow
    */
-  getAuthUrl() {
+  getAuthUrl(options = {}) {
     // Manually construct the OAuth URL since the SDK doesn't provide this method
     const baseUrl = 'https://www.dropbox.com/oauth2/authorize';
     const params = new URLSearchParams({
       client_id: this.clientId,
-      redirect_uri: this.redirectUri,
+      redirect_uri: options.redirectUri || this.redirectUri,
       response_type: 'code',
       scope: 'files.content.write files.content.read sharing.write'
     });
+
+    if (options.codeChallenge) {
+      params.set('code_challenge', options.codeChallenge);
+      params.set('code_challenge_method', 'S256');
+      params.set('token_access_type', 'offline'); // Ask for a refresh token
+    }
+    if (options.state) {
+      params.set('state', options.state);
+    }
     
     return `${baseUrl}?${params.toString()}`;
   }
 
+  /**
+   * Create a PKCE verifier and its S256 challenge
+   */
+  createPkcePair() {
+    const verifier = crypto.randomBytes(48).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+  }
+
+  /**
+   * Loopback OAuth: serve a temporary callback on 127.0.0.1, open the browser, capture the code,
+   * exchange it with PKCE and save the tokens
+   * @param {Object} options
+   * @param {number} options.port - Callback port, DEFAULT_CALLBACK_PORT when omitted (falling back to a free port if it's taken);
+   *   0 picks a free one. http://127.0.0.1:<port>/callback must be a redirect URI of the Dropbox app
+   * @param {boolean} options.openBrowser - Try to open the system browser (the URL is always printed)
+   * @param {number} options.timeout - How long to wait for the user, in ms
+   */
+  async authorizeWithLoopback(options = {}) {
+    const { verifier, challenge } = this.createPkcePair();
+    const state = crypto.randomBytes(16).toString('hex');
+    const timeout = options.timeout || 5 * 60 * 1000;
+
+    let settle;
+    const codePromise = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+
+    const server = http.createServer((request, response) => {
+      const url = new URL(request.url, 'http://127.0.0.1');
+      if (url.pathname !== '/callback') {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const code = url.searchParams.get('code');
+      const ok = !error && code && url.searchParams.get('state') === state;
+
+      response.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' });
+      response.end(ok
+        ? '<h2>Dropbox authorization complete</h2><p>You can close this window and return to the terminal.</p>'
+        : '<h2>Dropbox authorization failed</h2><p>Return to the terminal for details.</p>');
+
+      if (error) {
+        settle.reject(new Error(`Authorization denied: ${url.searchParams.get('error_description') || error}`));
+      } else if (!code || url.searchParams.get('state') !== state) {
+        settle.reject(new Error('Callback did not include a valid code and state'));
+      } else {
+        settle.resolve(code);
+      }
+    });
+
+    if (options.port !== undefined) {
+      try {
+        await this.listen(server, options.port);
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE') throw error;
+        throw new Error(`Port ${options.port} is in use - free it or pass another --port registered on the Dropbox app`, { cause: error });
+      }
+    } else {
+      try {
+        await this.listen(server, DEFAULT_CALLBACK_PORT);
+      } catch (error) {
+        if (error.code !== 'EADDRINUSE') throw error;
+        await this.listen(server, 0);
+        const redirect = `http://127.0.0.1:${server.address().port}/callback`;
+        console.warn(`⚠️  Port ${DEFAULT_CALLBACK_PORT} is in use - listening on ${server.address().port} instead. ` +
+          `Dropbox rejects this redirect unless ${redirect} is registered on the app; free port ${DEFAULT_CALLBACK_PORT} or pass --port to avoid that`);
+      }
+    }
+
+    const redirectUri = `http://127.0.0.1:${server.address().port}/callback`;
+    const timer = setTimeout(() => settle.reject(new Error(`No authorization received within ${Math.round(timeout / 1000)}s`)), timeout);
+
+    try {
+      const authUrl = this.getAuthUrl({ redirectUri, codeChallenge: challenge, state });
+      console.log('🔗 Opening Dropbox authorization in your browser. If it does not open, visit:');
+      console.log(authUrl);
+      console.log(`⏳ Waiting for the callback on ${redirectUri}...`);
+
+      if (options.openBrowser !== false) {
+        this.openBrowser(authUrl);
+      }
+
+      const code = await codePromise;
+      console.log('🔄 Exchanging code for access token...');
+      return await this.exchangeCodeForToken(code, { redirectUri, codeVerifier: verifier });
+    } finally {
+      clearTimeout(timer);
+      server.close();
+    }
+  }
+
+  /**
+   * Start listening on 127.0.0.1, rejecting if the port can't be used
+   */
+  async listen(server, port) {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Best-effort attempt to open a URL in the system browser
+   */
+  openBrowser(url) {
+    const command = process.platform === 'darwin' ? 'open'
+      : process.platform === 'win32' ? 'cmd'
+      : 'xdg-open';
+    const args = process.platform === 'win32' ? ['/c', 'start', '""', url] : [url];
+
+    try {
+      const child = spawn(command, args, { stdio: 'ignore', detached: true });
+      child.on('error', () => {}); // No browser available - the printed URL still works
+      child.unref();
+    } catch (error) {
+      // Ignore - the URL has already been printed
+    }
+  }
+
   /**
    * Exchange authorization code for access token
+   * @param {string} authorizationCode - Code from the redirect
+   * @param {Object} options - { redirectUri, codeVerifier } when the code came from the loopback PKCE flow
    */
-  async exchangeCodeForToken(authorizationCode) {
+  async exchangeCodeForToken(authorizationCode, options = {}) {
     try {
+      const params = new URLSearchParams({
+        code: authorizationCode,
+        grant_type: 'authorization_code',
+        redirect_uri: options.redirectUri || this.redirectUri,
+        client_id: this.clientId
+      });
+      if (options.codeVerifier) {
+        params.set('code_verifier', options.codeVerifier);
+      }
+      if (this.clientSecret) {
+        params.set('client_secret', this.clientSecret);
+      }
+
       // Use direct HTTP call since SDK method might not exist
       const response = await fetch('https://api.dropboxapi.com/oauth2/token', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
-        body: new URLSearchParams({
-          code: authorizationCode,
-          grant_type: 'authorization_code',
-          redirect_uri: this.redirectUri,
-          client_id: this.clientId,
-          client_secret: this.clientSecret
-        })
+        body: params
       });
 
       if (!response.ok) {
@@ -66,7 +219,8 @@ export class DropboxOAuth {
         access_token: data.access_token,
         refresh_token: data.refresh_token,
         expires_at: Date.now() + (data.expires_in * 1000),
-        token_type: data.token_type
+        token_type: data.token_type,
+        account_id: data.account_id
       };
 
       // Save tokens to file
@@ -92,7 +246,8 @@ export class DropboxOAuth {
           grant_type: 'refresh_token',
           refresh_token: refreshToken,
           client_id: this.clientId,
-          client_secret: this.clientSecret
+          // PKCE (loopback) tokens refresh without the app secret
+          ...(this.clientSecret ? { client_secret: this.clientSecret } : {})
         })
       });
 
@@ -103,11 +258,13 @@ export class DropboxOAuth {
 
       const data = await response.json();
       
+      const previous = await this.loadTokens();
       const tokens = {
         access_token: data.access_token,
         refresh_token: data.refresh_token || refreshToken, // Use new refresh token if provided
         expires_at: Date.now() + (data.expires_in * 1000),
-        token_type: data.token_type
+        token_type: data.token_type,
+        account_id: previous ? previous.account_id : undefined
       };
 
       await this.saveTokens(tokens);
@@ -144,46 +301,137 @@ export class DropboxOAuth {
   }
 
   /**
-   * Save tokens to file
+   * Save tokens, encrypted, to the per-user config directory
    */
   async saveTokens(tokens) {
     try {
-      await fs.writeFile(this.tokenPath, JSON.stringify(tokens, null, 2));
-      console.log('✅ Tokens saved successfully');
+      await this.tokenStore.save(tokens);
+      console.log(`✅ Tokens saved (encrypted) to ${this.tokenPath}`);
     } catch (error) {
       throw new Error(`Failed to save tokens: ${error.message}`);
     }
   }
 
   /**
-   * Load tokens from file
+   * Load and decrypt stored tokens
    */
   async loadTokens() {
     try {
-      if (await fs.pathExists(this.tokenPath)) {
-        const tokenData = await fs.readFile(this.tokenPath, 'utf8');
-        return JSON.parse(tokenData);
-      }
-      return null;
+      return await this.tokenStore.load();
     } catch (error) {
       throw new Error(`Failed to load tokens: ${error.message}`);
     }
   }
 
+  /**
+   * Look up the linked account with the current access token
+   */
+  async getAccountInfo() {
+    const accessToken = await this.getValidAccessToken();
+    const response = await fetch('https://api.dropboxapi.com/2/users/get_current_account', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+
+    const account = await response.json();
+    return {
+      accountId: account.account_id,
+      name: account.name && account.name.display_name,
+      email: account.email
+    };
+  }
+
+  /**
+   * Summarize stored credentials for `auth status`
+   * @returns {Promise<Object>} { linked, tokenPath, keySource, expiresAt, expired, hasRefreshToken, account, error }
+   */
+  async getStatus() {
+    const status = {
+      linked: false,
+      tokenPath: this.tokenPath,
+      keySource: this.tokenStore.describeKeySource()
+    };
+
+    let tokens;
+    try {
+      tokens = await this.loadTokens();
+    } catch (error) {
+      return { ...status, error: error.message };
+    }
+    if (!tokens) return status;
+
+    Object.assign(status, {
+      linked: true,
+      expiresAt: new Date(tokens.expires_at),
+      expired: Date.now() > tokens.expires_at,
+      hasRefreshToken: Boolean(tokens.refresh_token),
+      account: { accountId: tokens.account_id }
+    });
+
+    try {
+      status.account = await this.getAccountInfo();
+    } catch (error) {
+      status.error = `Could not reach Dropbox: ${error.message}`;
+    }
+    return status;
+  }
+
+  /**
+   * Revoke the access token with Dropbox (which also invalidates its refresh token) and delete local tokens
+   * @param {Object} options - { revoke: false } only deletes the local copy
+   */
+  async logout(options = {}) {
+    let revoked = false;
+
+    if (options.revoke !== false) {
+      const tokens = await this.loadTokens();
+      if (tokens) {
+        const accessToken = await this.getValidAccessToken();
+        const response = await fetch('https://api.dropboxapi.com/2/auth/token/revoke', {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to revoke token: HTTP ${response.status}: ${await response.text()}`);
+        }
+        revoked = true;
+      }
+    }
+
+    await this.clearTokens();
+    return { revoked };
+  }
+
   /**
    * Check if we have valid tokens
    */
   async hasValidTokens() {
+    // Only "nothing stored" means not linked - tokens that can't be read (no key, wrong key) must not
+    // silently fall back to another auth method
+    if (!await this.tokenStore.exists()) return false;
+
+    if (!this.tokenStore.hasKey()) {
+      throw new Error(
+        'Dropbox OAuth tokens are stored but no key to read them is set - set DROPBOX_TOKEN_PASSPHRASE or DROPBOX_TOKEN_KEY_FILE ' +
+        '(plain-text tokens from older versions are encrypted with it on first use)'
+      );
+    }
+
+    let tokens;
     try {
-      const tokens = await this.loadTokens();
-      if (!tokens) return false;
-      
-      // Check if token is expired
-      const isExpired = Date.now() > tokens.expires_at;
-      return !isExpired || !!tokens.refresh_token;
+      tokens = await this.loadTokens();
     } catch (error) {
-      return false;
+      throw new Error(`${error.message} Use the key the tokens were saved with, or run "auth logout --local-only" and "auth" to link Dropbox again`);
     }
+    if (!tokens) return false;
+
+    // Check if token is expired
+    const isExpired = Date.now() > tokens.expires_at;
+    return !isExpired || !!tokens.refresh_token;
   }
 
   /**
@@ -191,8 +439,8 @@ export class DropboxOAuth {
    */
   async clearTokens() {
     try {
-      if (await fs.pathExists(this.tokenPath)) {
-        await fs.remove(this.tokenPath);
+      if (await this.tokenStore.exists()) {
+        await this.tokenStore.clear();
         console.log('✅ Tokens cleared');
       }
     } catch (error) {
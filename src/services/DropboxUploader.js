@@ -5,14 +5,29 @@
  */
 
 import { Dropbox } from 'dropbox';
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 
 import { DropboxOAuth } from './DropboxOAuth.js';
+import { UploadBackend } from './UploadBackend.js';
+import { RetryPolicy } from './RetryPolicy.js';
 
-export class DropboxUploader {
-  constructor(accessToken) {
+const MB = 1024 * 1024;
+const MAX_SINGLE_UPLOAD = 150 * MB; // filesUpload hard limit
+const CHUNK_ALIGNMENT = 4 * MB; // Upload session chunks must be multiples of 4 MB
+
+export class DropboxUploader extends UploadBackend {
+  /**
+   * @param {string} accessToken - Static token, used when OAuth tokens aren't available
+   * @param {Object} options - { retryPolicy, chunkThreshold, chunkSize } (sizes in bytes)
+   */
+  constructor(accessToken, options = {}) {
+    super('dropbox', options);
     this.staticToken = accessToken;
+    // Files above this go through upload sessions, streamed from disk chunk by chunk
+    this.chunkThreshold = Math.min(options.chunkThreshold || 64 * MB, MAX_SINGLE_UPLOAD);
+    this.chunkSize = Math.max(CHUNK_ALIGNMENT, Math.floor((options.chunkSize || 8 * MB) / CHUNK_ALIGNMENT) * CHUNK_ALIGNMENT);
     this.oauth = new DropboxOAuth(
       process.env.DROPBOX_CLIENT_ID,
       process.env.DROPBOX_CLIENT_SECRET
@@ -25,7 +40,7 @@ export class DropboxUploader {
   async getDropboxClient() {
     try {
       // Try OAuth first
-      if (process.env.DROPBOX_CLIENT_ID && process.env.DROPBOX_CLIENT_SECRET) {
+      if (process.env.DROPBOX_CLIENT_ID) {
         const hasTokens = await this.oauth.hasValidTokens();
         if (hasTokens) {
           const accessToken = await this.oauth.getValidAccessToken();
@@ -48,7 +63,7 @@ export class DropboxUploader {
    * Upload temporary files to Dropbox and get shareable links
    * @param {string} localFilePath - Local file path
    * @param {string} dropboxPath - Optional Dropbox path
-   * @param {Object} options - Options
+   * @param {Object} options - { onProgress(uploadedBytes, totalBytes) } for chunked uploads
    * @returns {Promise<{url: string, filename: string, expires_in: string}>}
    */
   async uploadAndGetShareableLink(localFilePath, dropboxPath = null, options = {}) {
@@ -56,26 +71,35 @@ export class DropboxUploader {
       const filename = path.basename(localFilePath);
       const uploadPath = dropboxPath || `/sync-temp/${Date.now()}_${filename}`;
       
-      console.log(`📤 Uploading to Dropbox: ${filename}`);
-      
-      // Read file content
-      const fileContent = await fs.readFile(localFilePath);
+      const { size } = await fs.stat(localFilePath);
+      console.log(`📤 Uploading to Dropbox: ${filename} (${(size / MB).toFixed(1)} MB)`);
       
       // Get Dropbox client and upload file
       const dbx = await this.getDropboxClient();
-      const uploadResponse = await dbx.filesUpload({
-        path: uploadPath,
-        contents: fileContent,
-        mode: 'overwrite',
-        autorename: true
-      });
+      let uploadResponse;
+      if (size > this.chunkThreshold) {
+        uploadResponse = await this.uploadInSession(dbx, localFilePath, uploadPath, size, options.onProgress);
+      } else {
+        // Small enough to read into memory and send in one request
+        const fileContent = await fs.readFile(localFilePath);
+        uploadResponse = await this.retryPolicy.run(`uploading ${filename} to Dropbox`, () =>
+          dbx.filesUpload({
+            path: uploadPath,
+            contents: fileContent,
+            mode: 'overwrite',
+            autorename: true
+          })
+        );
+      }
       
       console.log(`✅ Upload completed: ${uploadResponse.result.name}`);
       
       // Generate temporary link (expires in 4 hours)
-      const tempLinkResponse = await dbx.filesGetTemporaryLink({
-        path: uploadResponse.result.path_lower
-      });
+      const tempLinkResponse = await this.retryPolicy.run(`creating Dropbox link for ${filename}`, () =>
+        dbx.filesGetTemporaryLink({
+          path: uploadResponse.result.path_lower
+        })
+      );
       
       // Modify URL for direct download (dl=1) - needed for Sync API
       let shareableUrl = tempLinkResponse.result.link;
@@ -97,40 +121,153 @@ export class DropboxUploader {
       
     } catch (error) {
       console.error(`❌ Dropbox upload failed for ${localFilePath}:`, error.message);
-      throw new Error(`Dropbox upload failed: ${error.message}`);
+      throw new Error(`Dropbox upload failed: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Upload multiple files and get their shareable links
-   * @param {string[]} localFilePaths - Array of local file paths
-   * @param {Object} options - Upload options
-   * @returns {Promise<Object>} Map of local paths to upload results
+   * Upload a large file with an upload session (start, append..., finish)
+   * Chunks are read from disk one at a time and each chunk is retried on its own
+   * @returns {Promise<Object>} filesUploadSessionFinish response
    */
-  async uploadMultipleFiles(localFilePaths, options = {}) {
-    const results = {};
-    
-    // Upload files in parallel for speed
-    const uploadPromises = localFilePaths.map(async (filePath) => {
-      try {
-        const result = await this.uploadAndGetShareableLink(filePath, null, options);
-        results[filePath] = result;
-      } catch (error) {
-        results[filePath] = { error: error.message };
+  async uploadInSession(dbx, localFilePath, uploadPath, size, onProgress = null) {
+    const filename = path.basename(localFilePath);
+    const totalChunks = Math.ceil(size / this.chunkSize);
+    const file = await fs.open(localFilePath, 'r');
+    const buffer = Buffer.alloc(this.chunkSize);
+    // Dropbox content_hash of what was sent (SHA-256 of each 4 MB block's SHA-256), to recognise a committed finish
+    const blockHashes = [];
+
+    const readChunk = async (offset) => {
+      const length = Math.min(this.chunkSize, size - offset);
+      const { bytesRead } = await fs.read(file, buffer, 0, length, offset);
+      for (let block = 0; block < bytesRead; block += CHUNK_ALIGNMENT) {
+        blockHashes.push(crypto.createHash('sha256').update(buffer.subarray(block, Math.min(block + CHUNK_ALIGNMENT, bytesRead))).digest());
       }
-    });
-    
-    await Promise.all(uploadPromises);
-    return results;
+      // Copy out - the SDK may still hold the previous chunk while the buffer is reused
+      return Buffer.from(buffer.subarray(0, bytesRead));
+    };
+
+    const reportProgress = (uploaded) => {
+      const percent = Math.round((uploaded / size) * 100);
+      console.log(`   ⬆️  ${filename}: ${(uploaded / MB).toFixed(1)}/${(size / MB).toFixed(1)} MB (${percent}%)`);
+      if (onProgress) onProgress(uploaded, size);
+    };
+
+    try {
+      console.log(`   Using upload session: ${totalChunks} chunks of ${this.chunkSize / MB} MB`);
+
+      let offset = 0;
+      const firstChunk = await readChunk(offset);
+      const start = await this.retryPolicy.run(`starting upload session for ${filename}`, () =>
+        dbx.filesUploadSessionStart({ close: false, contents: firstChunk })
+      );
+      const sessionId = start.result.session_id;
+      offset += firstChunk.length;
+      reportProgress(offset);
+
+      // Every chunk but the last is appended; the last one goes with the finish call
+      for (let chunkIndex = 2; chunkIndex < totalChunks; chunkIndex++) {
+        const chunk = await readChunk(offset);
+        await this.retryPolicy.run(`uploading chunk ${chunkIndex}/${totalChunks} of ${filename}`, () =>
+          this.appendChunk(dbx, sessionId, offset, chunk)
+        );
+        offset += chunk.length;
+        reportProgress(offset);
+      }
+
+      const lastChunk = offset < size ? await readChunk(offset) : Buffer.alloc(0);
+      const contentHash = crypto.createHash('sha256').update(Buffer.concat(blockHashes)).digest('hex');
+
+      // Finishing commits the file and closes the session, so a finish whose response was lost can't just be
+      // sent again: before retrying, and when a retry fails, check whether the file already landed
+      const finish = await this.retryPolicy.run(`finishing upload session for ${filename}`, async (attempt) => {
+        if (attempt > 0) {
+          const committed = await this.findCommittedFile(dbx, uploadPath, size, contentHash);
+          if (committed) return committed;
+        }
+
+        try {
+          return await dbx.filesUploadSessionFinish({
+            cursor: { session_id: sessionId, offset },
+            commit: { path: uploadPath, mode: 'overwrite', autorename: true },
+            contents: lastChunk
+          });
+        } catch (error) {
+          const committed = attempt > 0 ? await this.findCommittedFile(dbx, uploadPath, size, contentHash) : null;
+          if (committed) return committed;
+          throw error;
+        }
+      });
+      reportProgress(size);
+
+      return finish;
+    } finally {
+      await fs.close(file);
+    }
+  }
+
+  /**
+   * Metadata of the file at uploadPath if it is exactly what this session uploaded, else null
+   */
+  async findCommittedFile(dbx, uploadPath, size, contentHash) {
+    try {
+      const metadata = await dbx.filesGetMetadata({ path: uploadPath });
+      if (metadata.result.size === size && metadata.result.content_hash === contentHash) {
+        console.log(`   ✅ Upload session for ${path.basename(uploadPath)} had already committed`);
+        return metadata;
+      }
+      return null;
+    } catch (error) {
+      // 409 is path/not_found: nothing committed yet
+      if (RetryPolicy.getStatus(error) === 409) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Append one chunk, treating "incorrect offset" as success when Dropbox already has exactly this chunk
+   * (a retry after a response was lost in transit)
+   */
+  async appendChunk(dbx, sessionId, offset, chunk) {
+    try {
+      await dbx.filesUploadSessionAppendV2({
+        cursor: { session_id: sessionId, offset },
+        close: false,
+        contents: chunk
+      });
+    } catch (error) {
+      const body = error.error && (error.error.error || error.error);
+      if (body && body['.tag'] === 'incorrect_offset' && body.correct_offset === offset + chunk.length) {
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * UploadBackend interface: upload and return a 4-hour direct-download link
+   */
+  async upload(localFilePath) {
+    const result = await this.uploadAndGetShareableLink(localFilePath);
+    return {
+      url: result.url,
+      filename: result.filename,
+      remotePath: result.dropbox_path,
+      size: result.size,
+      expiresIn: result.expires_in
+    };
   }
 
   /**
    * Clean up uploaded files from Dropbox
    * @param {string[]} dropboxPaths - Array of Dropbox paths to delete
+   * @returns {Promise<string[]>} Paths that were deleted (or were already gone)
    */
   async cleanupFiles(dropboxPaths) {
-    if (!dropboxPaths || dropboxPaths.length === 0) return;
+    if (!dropboxPaths || dropboxPaths.length === 0) return [];
     
+    const deleted = [];
     try {
       console.log(`🧹 Cleaning up ${dropboxPaths.length} files from Dropbox...`);
       
@@ -138,9 +275,16 @@ export class DropboxUploader {
       const deletePromises = dropboxPaths.map(async (dropboxPath) => {
         try {
           const dbx = await this.getDropboxClient();
-          await dbx.filesDeleteV2({ path: dropboxPath });
+          await this.retryPolicy.run(`deleting ${dropboxPath} from Dropbox`, () =>
+            dbx.filesDeleteV2({ path: dropboxPath })
+          );
           console.log(`🗑️  Deleted: ${path.basename(dropboxPath)}`);
+          deleted.push(dropboxPath);
         } catch (error) {
+          if (/not_found/.test(DropboxUploader.errorSummary(error))) {
+            deleted.push(dropboxPath);
+            return;
+          }
           console.warn(`⚠️  Failed to delete ${dropboxPath}:`, error.message);
         }
       });
@@ -151,6 +295,57 @@ export class DropboxUploader {
     } catch (error) {
       console.warn('Cleanup failed:', error.message);
     }
+    return deleted;
+  }
+
+  /**
+   * List files under a Dropbox folder (defaults to the upload folder)
+   */
+  async listFiles(folder = '/sync-temp') {
+    const dbx = await this.getDropboxClient();
+    const files = [];
+
+    let response;
+    try {
+      response = await this.retryPolicy.run(`listing ${folder} on Dropbox`, () =>
+        dbx.filesListFolder({ path: folder })
+      );
+    } catch (error) {
+      // Nothing has been uploaded yet
+      if (/not_found/.test(DropboxUploader.errorSummary(error))) return [];
+      throw error;
+    }
+
+    for (;;) {
+      for (const entry of response.result.entries) {
+        if (entry['.tag'] === 'file') {
+          files.push({
+            remotePath: entry.path_lower,
+            name: entry.name,
+            size: entry.size,
+            modified: new Date(entry.server_modified)
+          });
+        }
+      }
+
+      if (!response.result.has_more) break;
+      const cursor = response.result.cursor;
+      response = await this.retryPolicy.run(`listing ${folder} on Dropbox`, () =>
+        dbx.filesListFolderContinue({ cursor })
+      );
+    }
+
+    return files;
+  }
+
+  /**
+   * Dropbox API error summary (e.g. "path_lookup/not_found/..."), following `cause`
+   */
+  static errorSummary(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.error && current.error.error_summary) return current.error.error_summary;
+    }
+    return '';
   }
 
   /**
@@ -0,0 +1,59 @@
+/**
+ * EntryFile.js
+ * JSON file holding a list of entries ({ version, entries }) for the records a run keeps on disk
+ * (generation journal, upload ledger). A missing or unreadable file loads as empty; writes are
+ * serialized and atomic so concurrent updates can't corrupt it
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export class EntryFile {
+  /**
+   * @param {string} filePath - JSON file
+   * @param {string} description - What the file is, for warnings ("generation journal")
+   */
+  constructor(filePath, description) {
+    this.filePath = filePath;
+    this.description = description;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Array>} Stored entries, empty when the file is missing or unreadable
+   */
+  async read() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        return data.entries || [];
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read ${this.description} ${this.filePath}: ${error.message}`);
+    }
+    return [];
+  }
+
+  /**
+   * Queue a write of the entries behind any write still in progress
+   */
+  write(entries) {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.ensureDir(path.dirname(this.filePath));
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeJson(tmpPath, { version: 1, entries }, { spaces: 2 });
+      await fs.move(tmpPath, this.filePath, { overwrite: true });
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Wait for queued writes, then delete the file
+   */
+  async remove() {
+    await this.writeQueue.catch(() => {});
+    if (await fs.pathExists(this.filePath)) {
+      await fs.remove(this.filePath);
+    }
+  }
+}
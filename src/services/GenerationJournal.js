@@ -0,0 +1,86 @@
+/**
+ * GenerationJournal.js
+ * On-disk record of submitted lip-sync generations so an interrupted run can re-attach
+ * to jobs that are still processing (or already finished) instead of paying for them again
+ */
+
+import { EntryFile } from './EntryFile.js';
+
+export class GenerationJournal {
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    this.entries = [];
+    this.file = new EntryFile(journalPath, 'generation journal');
+  }
+
+  /**
+   * Load existing entries from disk
+   */
+  async load() {
+    this.entries = await this.file.read();
+    return this;
+  }
+
+  /**
+   * Record a newly submitted generation
+   * @param {Object} entry - { segmentId, provider, generationId, inputHashes }
+   */
+  async record(entry) {
+    const now = new Date().toISOString();
+    this.entries.push({
+      status: 'SUBMITTED',
+      outputPath: null,
+      error: null,
+      submittedAt: now,
+      updatedAt: now,
+      ...entry
+    });
+    await this.save();
+  }
+
+  /**
+   * Update the entry for a generation (status, outputPath, error)
+   */
+  async update(generationId, fields) {
+    const entry = [...this.entries].reverse().find(e => e.generationId === generationId);
+    if (!entry) return;
+
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    await this.save();
+  }
+
+  /**
+   * Find the most recent generation for a segment whose inputs are unchanged
+   */
+  findGeneration(segmentId, provider, inputHashes) {
+    const matches = this.entries.filter(entry =>
+      entry.segmentId === segmentId &&
+      entry.provider === provider &&
+      this.sameInputs(entry.inputHashes, inputHashes)
+    );
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  /**
+   * Entries journaled without input hashes (inputHashes: null) can't prove their inputs are unchanged
+   */
+  sameInputs(a, b) {
+    if (!a || !b) return false;
+    return a.video === b.video && a.audio === b.audio && a.options === b.options;
+  }
+
+  /**
+   * Persist entries (serialized, atomic writes - see EntryFile)
+   */
+  async save() {
+    await this.file.write(this.entries);
+  }
+
+  /**
+   * Remove the journal file once a run has fully succeeded
+   */
+  async clear() {
+    this.entries = [];
+    await this.file.remove();
+  }
+}
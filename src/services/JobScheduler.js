@@ -0,0 +1,83 @@
+/**
+ * JobScheduler.js
+ * Keeps up to N async jobs in flight, starting the next one as soon as a slot frees up
+ * Backs off when the API rate-limits us: new starts pause and the slot count shrinks, then recovers
+ */
+
+export class JobScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.limit = this.concurrency; // Current effective slot count, lowered on rate limits
+    this.recoverAfter = options.recoverAfter || 3; // Successful jobs before regaining a slot
+    this.running = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.successesSinceBackoff = 0;
+    this.resumeTimer = null;
+  }
+
+  /**
+   * Queue a job; resolves or rejects with the job's own result
+   * @param {Function} job - async () => result
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Pause new starts for `delay` ms and give up one slot
+   */
+  backOff(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    if (this.limit > 1) {
+      this.limit--;
+      console.warn(`⏸️  Rate limited - pausing new jobs for ${(delay / 1000).toFixed(1)}s, concurrency now ${this.limit}/${this.concurrency}`);
+    } else {
+      console.warn(`⏸️  Rate limited - pausing new jobs for ${(delay / 1000).toFixed(1)}s`);
+    }
+    this.successesSinceBackoff = 0;
+  }
+
+  dispatch() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!this.resumeTimer && this.queue.length > 0) {
+        this.resumeTimer = setTimeout(() => {
+          this.resumeTimer = null;
+          this.dispatch();
+        }, wait);
+      }
+      return;
+    }
+
+    while (this.running < this.limit && this.queue.length > 0) {
+      const { job, resolve, reject } = this.queue.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(job)
+        .then((result) => {
+          this.recordSuccess();
+          resolve(result);
+        }, reject)
+        .finally(() => {
+          this.running--;
+          this.dispatch();
+        });
+    }
+  }
+
+  recordSuccess() {
+    if (this.limit >= this.concurrency) return;
+
+    this.successesSinceBackoff++;
+    if (this.successesSinceBackoff >= this.recoverAfter) {
+      this.limit++;
+      this.successesSinceBackoff = 0;
+      console.log(`▶️  Concurrency restored to ${this.limit}/${this.concurrency}`);
+    }
+  }
+}
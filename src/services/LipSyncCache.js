@@ -0,0 +1,65 @@
+/**
+ * LipSyncCache.js
+ * Content-addressed store of lip-sync results, shared across runs
+ * Keyed on the hashes of the preprocessed character clip, the segment audio and the provider's generation settings
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export class LipSyncCache {
+  constructor(cacheDirectory) {
+    this.cacheDirectory = cacheDirectory;
+  }
+
+  /**
+   * Build the cache key for a provider and a set of input hashes
+   * @param {string} provider - Provider name; mock output must never satisfy a real Sync lookup
+   * @param {Object} inputHashes - { video, audio, options } from hashGenerationInputs
+   */
+  keyFor(provider, inputHashes) {
+    return crypto
+      .createHash('sha256')
+      .update([provider, inputHashes.video, inputHashes.audio, inputHashes.options].join(':'))
+      .digest('hex');
+  }
+
+  videoPathFor(key) {
+    return path.join(this.cacheDirectory, `${key}.mp4`);
+  }
+
+  /**
+   * Look up a cached result
+   * @returns {Promise<{videoPath: string, metadata: Object}|null>}
+   */
+  async get(key) {
+    const videoPath = this.videoPathFor(key);
+    if (!await fs.pathExists(videoPath)) {
+      return null;
+    }
+
+    const metadataPath = path.join(this.cacheDirectory, `${key}.json`);
+    const metadata = await fs.pathExists(metadataPath) ? await fs.readJson(metadataPath) : {};
+    return { videoPath, metadata };
+  }
+
+  /**
+   * Copy a generated result into the cache
+   */
+  async put(key, sourcePath, metadata = {}) {
+    await fs.ensureDir(this.cacheDirectory);
+
+    // Copy to a temp name first so a crash never leaves a truncated entry behind
+    const videoPath = this.videoPathFor(key);
+    await fs.copy(sourcePath, `${videoPath}.tmp`);
+    await fs.move(`${videoPath}.tmp`, videoPath, { overwrite: true });
+
+    await fs.writeJson(path.join(this.cacheDirectory, `${key}.json`), {
+      ...metadata,
+      cachedAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    return videoPath;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * LocalHttpUploader.js
+ * Upload backend that serves files straight from disk over a small HTTP server
+ * For self-hosted or mock lip-sync providers that can reach this machine (directly or through a tunnel)
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import fs from 'fs-extra';
+import path from 'path';
+
+import { UploadBackend } from './UploadBackend.js';
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4'
+};
+
+export class LocalHttpUploader extends UploadBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - Interface to listen on
+   * @param {number} options.port - Port to listen on (0 picks a free one)
+   * @param {string} options.publicUrl - Base URL the provider should use, e.g. a tunnel; defaults to http://host:port
+   */
+  constructor(options = {}) {
+    super('local', options);
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.publicUrl = options.publicUrl || process.env.UPLOAD_PUBLIC_URL || null;
+    this.files = new Map(); // token -> local file path
+    this.server = null;
+    this.starting = null;
+  }
+
+  /**
+   * Start the server on first use
+   */
+  async start() {
+    // Parallel uploads share one startup so none of them sees the port before listen() finishes
+    if (!this.starting) {
+      this.starting = this.listen();
+    }
+    return this.starting;
+  }
+
+  async listen() {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    // Don't keep the process alive just to serve files if cleanup is skipped
+    this.server.unref();
+    this.port = this.server.address().port;
+    console.log(`🌐 Serving uploads at ${this.getBaseUrl()}`);
+  }
+
+  getBaseUrl() {
+    return (this.publicUrl || `http://${this.host}:${this.port}`).replace(/\/$/, '');
+  }
+
+  /**
+   * "Upload" a file: register it with the server and return its URL
+   */
+  async upload(localFilePath) {
+    if (!await fs.pathExists(localFilePath)) {
+      throw new Error(`Local upload failed: file not found: ${localFilePath}`);
+    }
+
+    await this.start();
+
+    const filename = path.basename(localFilePath);
+    const token = crypto.randomBytes(16).toString('hex');
+    const { size } = await fs.stat(localFilePath);
+    this.files.set(token, path.resolve(localFilePath));
+
+    return {
+      url: `${this.getBaseUrl()}/files/${token}/${encodeURIComponent(filename)}`,
+      filename,
+      remotePath: token,
+      size,
+      expiresIn: 'until the run ends'
+    };
+  }
+
+  /**
+   * Stop serving files; shuts the server down once nothing is left
+   */
+  async cleanupFiles(tokens) {
+    if (!tokens || tokens.length === 0) return [];
+
+    tokens.forEach(token => this.files.delete(token));
+    console.log(`🧹 Stopped serving ${tokens.length} files`);
+
+    if (this.files.size === 0) {
+      await this.close();
+    }
+    return tokens;
+  }
+
+  async close() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    this.starting = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  handleRequest(request, response) {
+    const match = /^\/files\/([0-9a-f]+)\//.exec(request.url || '');
+    const filePath = match && this.files.get(match[1]);
+
+    if (!filePath || !['GET', 'HEAD'].includes(request.method)) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    fs.stat(filePath).then((stats) => {
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stats.size
+      });
+
+      if (request.method === 'HEAD') {
+        response.end();
+        return;
+      }
+      fs.createReadStream(filePath).pipe(response);
+    }).catch(() => {
+      response.writeHead(404);
+      response.end();
+    });
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * RetryPolicy.js
+ * Exponential backoff with jitter for Sync and Dropbox calls
+ * Errors are classified as transient (429, 5xx, network) or permanent (other 4xx, failed generations)
+ */
+
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+// Failures raised before a request goes out - the only network errors after which a non-idempotent call may be resent
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+export class RetryPolicy {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelay = options.retryBaseDelay || 1000;
+    this.maxDelay = options.retryMaxDelay || 30000;
+    this.timeout = options.timeout || 300000; // Wall-clock limit for waiting on a generation
+    this.rateLimitListeners = [];
+  }
+
+  /**
+   * Register a callback for 429 responses, called with the backoff delay in ms
+   * @returns {Function} Unsubscribe
+   */
+  onRateLimit(listener) {
+    this.rateLimitListeners.push(listener);
+    return () => {
+      this.rateLimitListeners = this.rateLimitListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Create an error that must never be retried (validation failures, failed generations)
+   */
+  static permanent(message, cause = null) {
+    const error = new Error(message, cause ? { cause } : undefined);
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Find the HTTP status on an error from axios, the Dropbox SDK or the Sync SDK, following `cause`
+   */
+  static getStatus(error) {
+    for (let current = error; current; current = current.cause) {
+      const status = current.status || current.statusCode || (current.response && current.response.status);
+      if (typeof status === 'number') return status;
+    }
+    return null;
+  }
+
+  /**
+   * Classify an error as 'transient' or 'permanent'
+   */
+  static classify(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.retryable === false) return 'permanent';
+      if (current.retryable === true) return 'transient';
+    }
+
+    const status = RetryPolicy.getStatus(error);
+    if (status !== null) {
+      return status === 408 || status === 429 || status >= 500 ? 'transient' : 'permanent';
+    }
+
+    for (let current = error; current; current = current.cause) {
+      if (current.code && TRANSIENT_NETWORK_CODES.includes(current.code)) return 'transient';
+      if (current.name === 'AbortError' || /socket hang up|network|timed? ?out/i.test(current.message || '')) {
+        return 'transient';
+      }
+    }
+
+    // Anything unrecognized is treated as a bug or bad input - retrying won't help
+    return 'permanent';
+  }
+
+  static isTransient(error) {
+    return RetryPolicy.classify(error) === 'transient';
+  }
+
+  /**
+   * True when the request provably never took effect: rate-limited (429) or the connection was never made
+   * 5xx, timeouts and dropped connections may have been processed and are false
+   */
+  static wasNeverSent(error) {
+    if (RetryPolicy.getStatus(error) === 429) return true;
+
+    for (let current = error; current; current = current.cause) {
+      if (current.code && UNSENT_NETWORK_CODES.includes(current.code)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Backoff before retry number `attempt` (0-based), honouring Retry-After on rate limits
+   */
+  getDelay(attempt, error = null) {
+    const retryAfter = error ? RetryPolicy.getRetryAfter(error) : null;
+    let delay;
+
+    if (retryAfter !== null) {
+      delay = Math.min(retryAfter, this.maxDelay);
+    } else {
+      const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+      // Equal jitter: half fixed, half random, so parallel jobs don't retry in lockstep
+      delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    return delay;
+  }
+
+  /**
+   * Tell rate-limit listeners about a 429 we are about to back off from, so schedulers can slow down too
+   */
+  notifyRateLimit(error, delay) {
+    if (RetryPolicy.getStatus(error) === 429) {
+      this.rateLimitListeners.forEach(listener => listener(delay));
+    }
+  }
+
+  static getRetryAfter(error) {
+    for (let current = error; current; current = current.cause) {
+      const headers = (current.response && current.response.headers) || current.headers;
+      const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+      if (value !== undefined && value !== null && !isNaN(Number(value))) {
+        return Number(value) * 1000;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Describe an error for logs: status or code plus message
+   */
+  static describe(error) {
+    const status = RetryPolicy.getStatus(error);
+    const prefix = status ? `HTTP ${status}` : (error.code || RetryPolicy.classify(error));
+    return `${prefix}: ${error.message}`;
+  }
+
+  /**
+   * Build the final error once retrying stops, explaining why
+   */
+  giveUp(label, attempts, reason, error) {
+    return RetryPolicy.permanent(
+      `Gave up on ${label} after ${attempts} attempt${attempts === 1 ? '' : 's'} (${reason}) - ${RetryPolicy.describe(error)}`,
+      error
+    );
+  }
+
+  /**
+   * Run an operation, retrying transient failures with backoff
+   * @param {string} label - Human-readable operation name for logs and errors
+   * @param {Function} operation - async (attempt) => result
+   */
+  async run(label, operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (!RetryPolicy.isTransient(error)) {
+          throw this.giveUp(label, attempt + 1, 'permanent error', error);
+        }
+        if (attempt >= this.maxRetries) {
+          throw this.giveUp(label, attempt + 1, `still failing after ${this.maxRetries} retries`, error);
+        }
+
+        const delay = this.getDelay(attempt, error);
+        this.notifyRateLimit(error, delay);
+        console.warn(`⚠️  ${label} failed (${RetryPolicy.describe(error)}), retry ${attempt + 1}/${this.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
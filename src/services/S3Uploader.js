@@ -0,0 +1,177 @@
+/**
+ * S3Uploader.js
+ * Upload backend for S3-compatible object storage (AWS S3, MinIO, R2, ...)
+ * Files are PUT with presigned URLs and shared with presigned GET URLs, so no bucket has to be public
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import fs from 'fs-extra';
+import path from 'path';
+
+import { UploadBackend } from './UploadBackend.js';
+
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600; // SigV4 limit
+
+export class S3Uploader extends UploadBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.endpoint - e.g. http://localhost:9000 for MinIO; defaults to AWS
+   * @param {string} options.region - Signing region (MinIO accepts us-east-1)
+   * @param {string} options.prefix - Key prefix for uploads
+   * @param {number} options.expiresIn - Lifetime of download URLs in seconds
+   * @param {boolean} options.forcePathStyle - Use endpoint/bucket/key URLs (needed for MinIO)
+   */
+  constructor(options = {}) {
+    super('s3', options);
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint = options.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`;
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+    this.prefix = options.prefix !== undefined ? options.prefix : 'sync-temp/';
+    this.expiresIn = Math.min(options.expiresIn || 4 * 3600, MAX_PRESIGN_SECONDS);
+    this.forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : Boolean(options.endpoint || process.env.S3_ENDPOINT);
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 upload backend needs a bucket plus S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  /**
+   * Upload a file and return a presigned download URL
+   */
+  async upload(localFilePath) {
+    const filename = path.basename(localFilePath);
+    const key = `${this.prefix}${Date.now()}_${filename}`;
+
+    try {
+      console.log(`📤 Uploading to S3: ${filename}`);
+      const { size } = await fs.stat(localFilePath);
+
+      await this.retryPolicy.run(`uploading ${filename} to S3`, () =>
+        axios.put(this.presign('PUT', key, 900), fs.createReadStream(localFilePath), {
+          headers: { 'Content-Length': size },
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        })
+      );
+
+      console.log(`✅ Upload completed: ${key}`);
+
+      return {
+        url: this.presign('GET', key, this.expiresIn),
+        filename,
+        remotePath: key,
+        size,
+        expiresIn: `${Math.round(this.expiresIn / 3600)} hours`
+      };
+
+    } catch (error) {
+      console.error(`❌ S3 upload failed for ${localFilePath}:`, error.message);
+      throw new Error(`S3 upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Delete uploaded objects
+   * @param {string[]} keys - Object keys returned as `remotePath` by upload()
+   * @returns {Promise<string[]>} Keys that were deleted
+   */
+  async cleanupFiles(keys) {
+    if (!keys || keys.length === 0) return [];
+
+    const deleted = [];
+    console.log(`🧹 Cleaning up ${keys.length} files from S3...`);
+
+    await Promise.all(keys.map(async (key) => {
+      try {
+        await this.retryPolicy.run(`deleting ${key} from S3`, () =>
+          axios.delete(this.presign('DELETE', key, 900))
+        );
+        console.log(`🗑️  Deleted: ${path.basename(key)}`);
+        deleted.push(key);
+      } catch (error) {
+        console.warn(`⚠️  Failed to delete ${key}:`, error.message);
+      }
+    }));
+
+    console.log(`✅ Cleanup completed`);
+    return deleted;
+  }
+
+  /**
+   * Test bucket access
+   */
+  async testConnection() {
+    try {
+      await axios.head(this.presign('HEAD', '', 60));
+      console.log(`✅ S3 bucket reachable: ${this.bucket}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ S3 connection failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build a SigV4 query-string presigned URL for an object (or the bucket when key is empty)
+   */
+  presign(method, key, expiresIn) {
+    const endpoint = new URL(this.endpoint);
+    const objectPath = key ? `/${key.split('/').map(encodeRfc3986).join('/')}` : '/';
+    const host = this.forcePathStyle ? endpoint.host : `${this.bucket}.${endpoint.host}`;
+    const canonicalPath = this.forcePathStyle
+      ? `/${encodeRfc3986(this.bucket)}${key ? objectPath : ''}`
+      : objectPath;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQuery,
+      `host:${host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = [dateStamp, this.region, 's3', 'aws4_request']
+      .reduce((keyBytes, part) => hmac(keyBytes, part), `AWS4${this.secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return `${endpoint.protocol}//${host}${canonicalPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, SigV4 requires them escaped
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
@@ -0,0 +1,141 @@
+/**
+ * SchemaValidator.js
+ * Validates scripts against config/script.schema.json with Ajv and reports every problem as
+ * { path, message } with a JSON path like $.dialogue[2].end, in the wording `validate` prints
+ */
+
+import Ajv from 'ajv';
+
+export class SchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+    this.ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+    this.ajv.addSchema(schema, 'root');
+
+    // A top-level oneOf of script forms is checked one form at a time, so a broken script is explained
+    // against the form it is closest to instead of against all of them
+    const refs = (schema.oneOf || []).map(branch => branch.$ref);
+    this.forms = refs.length > 0 && refs.every(Boolean)
+      ? refs.map(ref => this.ajv.getSchema(`root${ref}`))
+      : [this.ajv.getSchema('root')];
+  }
+
+  /**
+   * @returns {Array<{path: string, message: string}>} Empty when the value is valid
+   */
+  validate(value) {
+    const results = this.forms.map(check => check(value) ? [] : this.formatErrors(check.errors));
+    if (results.some(errors => errors.length === 0)) {
+      return [];
+    }
+
+    // Prefer forms of the right top-level type, so an object script isn't told it "must be array"
+    const typeFits = results.filter(errors => !(errors.length === 1 && errors[0].path === '$' && errors[0].keyword === 'type'));
+    const candidates = typeFits.length > 0 ? typeFits : results;
+    return candidates
+      .reduce((best, errors) => errors.length < best.length ? errors : best)
+      .map(({ path, message }) => ({ path, message }));
+  }
+
+  formatErrors(errors) {
+    // anyOf: [{ required: ['video'] }, { required: ['speaker'] }] reads better as one message
+    const collapsed = new Set();
+    const problems = [];
+
+    for (const error of errors.filter(e => e.keyword === 'anyOf')) {
+      const branches = errors.filter(e => e.schemaPath.startsWith(`${error.schemaPath}/`));
+      if (branches.length > 0 && branches.every(e => e.keyword === 'required')) {
+        branches.forEach(e => collapsed.add(e));
+        const names = branches.map(e => `"${e.params.missingProperty}"`).join(' or ');
+        problems.push({ keyword: 'required', path: toPath(error.instancePath), message: `missing required property ${names}` });
+      }
+    }
+
+    for (const error of errors) {
+      if (collapsed.has(error) || error.keyword === 'anyOf' || error.keyword === 'oneOf') continue;
+      problems.push({ keyword: error.keyword, ...this.describe(error) });
+    }
+
+    const seen = new Set();
+    return problems.filter(problem => {
+      const key = `${problem.path}: ${problem.message}`;
+      return seen.has(key) ? false : seen.add(key);
+    });
+  }
+
+  describe(error) {
+    const path = toPath(error.instancePath);
+    const { params, data } = error;
+
+    switch (error.keyword) {
+      case 'type':
+        return { path, message: `must be ${String(params.type).split(',').join(' or ')} (got ${describeType(data)})` };
+      case 'required':
+        return { path, message: `missing required property "${params.missingProperty}"` };
+      case 'additionalProperties': {
+        const hint = closestName(params.additionalProperty, Object.keys(error.parentSchema.properties || {}));
+        return { path: `${path}.${params.additionalProperty}`, message: `unknown property${hint ? ` (did you mean "${hint}"?)` : ''}` };
+      }
+      case 'enum':
+        return { path, message: `must be one of ${params.allowedValues.map(option => JSON.stringify(option)).join(', ')} (got ${JSON.stringify(data)})` };
+      case 'const':
+        return { path, message: `must be ${JSON.stringify(params.allowedValue)}` };
+      case 'minimum':
+      case 'exclusiveMinimum':
+        return { path, message: `${error.message} (got ${data})` };
+      case 'minLength':
+        return { path, message: params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters` };
+      case 'minItems':
+        return { path, message: `must have at least ${params.limit} item${params.limit === 1 ? '' : 's'}` };
+      default:
+        return { path, message: error.message };
+    }
+  }
+}
+
+/**
+ * Ajv's "/dialogue/2/end" -> "$.dialogue[2].end"
+ */
+function toPath(instancePath) {
+  return instancePath.split('/').slice(1).reduce((path, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${key}`;
+  }, '$');
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Suggest a known property for a likely typo (edit distance <= 2)
+ */
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
@@ -0,0 +1,149 @@
+/**
+ * TokenStore.js
+ * Encrypted at-rest storage for OAuth tokens in the per-user config directory
+ * Tokens are sealed with AES-256-GCM using a key derived (scrypt) from DROPBOX_TOKEN_PASSPHRASE
+ * or the contents of the file named by DROPBOX_TOKEN_KEY_FILE
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import fs from 'fs-extra';
+import path from 'path';
+
+const APP_NAME = 'millennial-tarot-video-gen';
+
+/**
+ * Per-user config directory (override with TAROT_VIDEO_GEN_CONFIG_DIR)
+ */
+export function getUserConfigDirectory() {
+  if (process.env.TAROT_VIDEO_GEN_CONFIG_DIR) {
+    return process.env.TAROT_VIDEO_GEN_CONFIG_DIR;
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), APP_NAME);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', APP_NAME);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), APP_NAME);
+}
+
+export class TokenStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Encrypted token file
+   * @param {string} options.passphrase - Defaults to DROPBOX_TOKEN_PASSPHRASE
+   * @param {string} options.keyFile - Defaults to DROPBOX_TOKEN_KEY_FILE
+   * @param {string} options.legacyPath - Plain-text token file to migrate from
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(getUserConfigDirectory(), 'dropbox-tokens.enc.json');
+    this.passphrase = options.passphrase || process.env.DROPBOX_TOKEN_PASSPHRASE || null;
+    this.keyFile = options.keyFile || process.env.DROPBOX_TOKEN_KEY_FILE || null;
+    this.legacyPath = options.legacyPath || null;
+  }
+
+  hasKey() {
+    return Boolean(this.keyFile || this.passphrase);
+  }
+
+  /**
+   * Describe where the encryption key comes from, for status output
+   */
+  describeKeySource() {
+    if (this.keyFile) return `key file ${this.keyFile}`;
+    if (this.passphrase) return 'DROPBOX_TOKEN_PASSPHRASE';
+    return 'none configured';
+  }
+
+  async getSecret() {
+    if (this.keyFile) {
+      const secret = await fs.readFile(this.keyFile);
+      if (secret.length === 0) {
+        throw new Error(`Token key file is empty: ${this.keyFile}`);
+      }
+      return secret;
+    }
+    if (this.passphrase) {
+      return Buffer.from(this.passphrase, 'utf8');
+    }
+    throw new Error('No token encryption key - set DROPBOX_TOKEN_PASSPHRASE or DROPBOX_TOKEN_KEY_FILE');
+  }
+
+  async deriveKey(salt) {
+    const secret = await this.getSecret();
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(secret, salt, 32, (error, key) => error ? reject(error) : resolve(key));
+    });
+  }
+
+  /**
+   * Encrypt and write tokens; the file and its directory are only readable by the current user
+   */
+  async save(tokens) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+    await fs.ensureDir(path.dirname(this.filePath), { mode: 0o700 });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeJson(tmpPath, {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, { spaces: 2, mode: 0o600 });
+    await fs.move(tmpPath, this.filePath, { overwrite: true });
+  }
+
+  /**
+   * Read and decrypt tokens; returns null when nothing is stored
+   * A plain-text legacy file is encrypted into the new location and removed on first load
+   */
+  async load() {
+    if (!await fs.pathExists(this.filePath)) {
+      return await this.migrateLegacy();
+    }
+
+    const sealed = await fs.readJson(this.filePath);
+    const key = await this.deriveKey(Buffer.from(sealed.salt, 'base64'));
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+      const json = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+      return JSON.parse(json.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Could not decrypt ${this.filePath} - wrong passphrase or key file?`);
+    }
+  }
+
+  async migrateLegacy() {
+    if (!this.legacyPath || !await fs.pathExists(this.legacyPath)) {
+      return null;
+    }
+
+    const tokens = await fs.readJson(this.legacyPath);
+    await this.save(tokens);
+    await fs.remove(this.legacyPath);
+    console.log(`🔐 Moved plain-text tokens from ${this.legacyPath} to encrypted storage at ${this.filePath}`);
+    return tokens;
+  }
+
+  async exists() {
+    return await fs.pathExists(this.filePath) || Boolean(this.legacyPath && await fs.pathExists(this.legacyPath));
+  }
+
+  async clear() {
+    await fs.remove(this.filePath);
+    if (this.legacyPath) {
+      await fs.remove(this.legacyPath);
+    }
+  }
+}
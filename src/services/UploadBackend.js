@@ -0,0 +1,73 @@
+/**
+ * UploadBackend.js
+ * Base class for services that publish local files at a URL the lip-sync provider can fetch
+ * Backends implement upload/cleanupFiles; SyncAPI only talks to this interface
+ */
+
+import { RetryPolicy } from './RetryPolicy.js';
+
+export class UploadBackend {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy(options);
+  }
+
+  /**
+   * Publish a local file
+   * @param {string} localFilePath - Local file path
+   * @returns {Promise<{url: string, filename: string, remotePath: string, size: number, expiresIn: string}>}
+   * `remotePath` is what cleanupFiles() takes to delete the file again
+   */
+  async upload(localFilePath) {
+    throw new Error(`${this.name} upload backend does not implement upload()`);
+  }
+
+  /**
+   * Delete previously uploaded files; failures are logged, not thrown
+   * @param {string[]} remotePaths - `remotePath` values returned by upload()
+   * @returns {Promise<string[]>} The remote paths that were actually deleted
+   */
+  async cleanupFiles(remotePaths) {
+    throw new Error(`${this.name} upload backend does not implement cleanupFiles()`);
+  }
+
+  /**
+   * List files in the backend's temporary upload folder
+   * @returns {Promise<Array<{remotePath: string, name: string, size: number, modified: Date}>>}
+   */
+  async listFiles() {
+    throw new Error(`${this.name} upload backend cannot list remote files`);
+  }
+
+  /**
+   * Check the backend is reachable and authorized
+   */
+  async testConnection() {
+    return true;
+  }
+
+  /**
+   * Release local resources (servers, sockets) once the run is over
+   */
+  async close() {}
+
+  /**
+   * Upload multiple files and get their URLs
+   * @param {string[]} localFilePaths - Array of local file paths
+   * @returns {Promise<Object>} Map of local paths to upload results
+   */
+  async uploadMultipleFiles(localFilePaths) {
+    const results = {};
+
+    // Upload files in parallel for speed
+    await Promise.all(localFilePaths.map(async (filePath) => {
+      try {
+        results[filePath] = await this.upload(filePath);
+      } catch (error) {
+        results[filePath] = { error: error.message };
+      }
+    }));
+
+    return results;
+  }
+}
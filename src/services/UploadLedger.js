@@ -0,0 +1,60 @@
+/**
+ * UploadLedger.js
+ * On-disk record of remote uploads that haven't been deleted yet
+ * Entries are written as files are uploaded and removed once cleanup deletes them, so anything
+ * left behind by a crashed or failed run can be found by `cleanup-remote`
+ */
+
+import { EntryFile } from './EntryFile.js';
+
+export class UploadLedger {
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+    this.entries = [];
+    this.file = new EntryFile(ledgerPath, 'upload ledger');
+  }
+
+  /**
+   * Load existing entries from disk
+   */
+  async load() {
+    this.entries = await this.file.read();
+    return this;
+  }
+
+  /**
+   * Record an upload before it is handed to the provider
+   * @param {Object} entry - { backend, remotePath, localPath, size }
+   */
+  async add(entry) {
+    this.entries.push({ uploadedAt: new Date().toISOString(), ...entry });
+    await this.save();
+  }
+
+  /**
+   * Forget uploads that have been deleted remotely
+   */
+  async remove(backend, remotePaths) {
+    const deleted = new Set(remotePaths);
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => !(entry.backend === backend && deleted.has(entry.remotePath)));
+
+    if (this.entries.length !== before) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Recorded uploads for a backend
+   */
+  getEntries(backend) {
+    return this.entries.filter(entry => entry.backend === backend);
+  }
+
+  /**
+   * Persist entries (serialized, atomic writes - see EntryFile)
+   */
+  async save() {
+    await this.file.write(this.entries);
+  }
+}
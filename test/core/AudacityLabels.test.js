@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudacityLabels } from '../../src/core/AudacityLabels.js';
+
+const LABELS = [
+  '0.000000\t6.000000\tetsy2: The way this betch thinks...',
+  '\\\t1200.000000\t3400.000000',
+  '6.000000\t8.500000\tempress1 @nosync @zoom',
+  ''
+].join('\n');
+
+describe('AudacityLabels', () => {
+  it('recognises label tracks by content', () => {
+    assert.equal(AudacityLabels.isLabelTrack(LABELS), true);
+    assert.equal(AudacityLabels.isLabelTrack('ETSY2 [6]: Hello\n'), false);
+    assert.equal(AudacityLabels.isLabelTrack('\n'), false);
+  });
+
+  it('parses regions, markers and dialogue and skips frequency lines', () => {
+    const script = AudacityLabels.parse(LABELS);
+
+    assert.deepEqual(script, {
+      dialogue: [
+        { video: 'etsy2', start: 0, end: 6, sync: true, dialogue: 'The way this betch thinks...' },
+        { video: 'empress1', start: 6, end: 8.5, sync: false, motion: 'zoom' }
+      ]
+    });
+    assert.deepEqual(script.sourceLines, { meta: [], dialogue: [1, 3] });
+  });
+
+  it('names the line of a bad label', () => {
+    assert.throws(() => AudacityLabels.parse('1.000000\t1.000000\tetsy2\n'), /Line 1: label at 1s is a point label/);
+    assert.throws(() => AudacityLabels.parse('0\t1\tetsy2\n3.000000\t2.000000\tetsy2\n'), /Line 2: label ends \(2s\) before it starts \(3s\)/);
+    assert.throws(() => AudacityLabels.parse('0\t1\tetsy2 @loud\n'), /Line 1: unknown marker @loud/);
+    assert.throws(() => AudacityLabels.parse('0 1 etsy2\n'), /Line 1: expected "start<TAB>end<TAB>label"/);
+  });
+
+  it('writes segments back as labels that parse to the same script', () => {
+    const text = AudacityLabels.stringify([
+      { video: 'etsy2', startTime: 0, endTime: 6, sync: true, dialogue: 'The way this\nbetch thinks...' },
+      { speaker: 'empress1', startTime: 6, endTime: 8.5, sync: false, motion: 'zoom' }
+    ]);
+
+    assert.equal(text, '0.000000\t6.000000\tetsy2: The way this betch thinks...\n6.000000\t8.500000\tempress1 @nosync @zoom\n');
+    assert.deepEqual(AudacityLabels.parse(text), AudacityLabels.parse(LABELS));
+  });
+});
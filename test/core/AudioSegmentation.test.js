@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioSegmentation, GAP_POLICIES } from '../../src/core/AudioSegmentation.js';
+
+function load(entries) {
+  return new AudioSegmentation('episode.wav', entries);
+}
+
+function spans(segmentation) {
+  return segmentation.getSegments().map(s => `${s.id} ${s.video} ${s.startTime}-${s.endTime}`);
+}
+
+const SCRIPT = [
+  { video: 'etsy2', end: 6, dialogue: 'One' },
+  { video: 'empress1', end: 10, dialogue: 'Two' },
+  { video: 'etsy2', end: 14, dialogue: 'Three' }
+];
+
+describe('AudioSegmentation editing', () => {
+  describe('shiftSegments', () => {
+    it('moves every boundary at or after the time', () => {
+      const segmentation = load(SCRIPT);
+
+      assert.equal(segmentation.shiftSegments(6, 1.5), 3);
+      assert.deepEqual(spans(segmentation), ['segment_0 etsy2 0-7.5', 'segment_1 empress1 7.5-11.5', 'segment_2 etsy2 11.5-15.5']);
+      assert.equal(segmentation.getSegment('segment_1').duration, 4);
+    });
+
+    it('moves meta timings that start after the time', () => {
+      const segmentation = load(SCRIPT);
+      segmentation.metaDefinitions = [{ name: 'logo', timing: { start: 2 } }, { name: 'sting', timing: { start: 11 } }];
+
+      segmentation.shiftSegments(10, -1);
+
+      assert.deepEqual(segmentation.metaDefinitions.map(meta => meta.timing.start), [2, 10]);
+    });
+
+    it('refuses shifts that cross an earlier boundary or leave a segment empty', () => {
+      const segmentation = load(SCRIPT);
+
+      assert.throws(() => segmentation.shiftSegments(8, -5), /the boundary at 10s would move before 6s/);
+      assert.throws(() => segmentation.shiftSegments(10, -4), /segment segment_1 \(6s - 10s\) would have no length left/);
+      assert.throws(() => segmentation.shiftSegments(20, 1), /Nothing starts or ends at or after 20s/);
+      assert.deepEqual(spans(segmentation), spans(load(SCRIPT)), 'a refused shift changes nothing');
+    });
+  });
+
+  describe('splitSegment', () => {
+    it('cuts a segment in two and renumbers the rest', () => {
+      const segmentation = load(SCRIPT);
+
+      const second = segmentation.splitSegment(3, 'empress1');
+
+      assert.deepEqual(spans(segmentation), [
+        'segment_0 etsy2 0-3', 'segment_1 empress1 3-6', 'segment_2 empress1 6-10', 'segment_3 etsy2 10-14'
+      ]);
+      assert.equal(second.dialogue, null);
+      assert.equal(segmentation.getSegments()[0].dialogue, 'One');
+    });
+
+    it('needs a time inside a segment', () => {
+      assert.throws(() => load(SCRIPT).splitSegment(6, 'empress1'), /No segment spans 6s/);
+    });
+  });
+
+  describe('mergeSegments', () => {
+    it('joins a segment with the next one and their dialogue', () => {
+      const segmentation = load(SCRIPT);
+
+      const merged = segmentation.mergeSegments(0);
+
+      assert.deepEqual(spans(segmentation), ['segment_0 etsy2 0-10', 'segment_1 etsy2 10-14']);
+      assert.equal(merged.dialogue, 'One Two');
+    });
+
+    it('names the segments that exist', () => {
+      assert.throws(() => load(SCRIPT).mergeSegments(2), /Segment 2 is the last one/);
+      assert.throws(() => load(SCRIPT).mergeSegments(5), /No segment 5 - the script has segments 0 to 2/);
+    });
+  });
+
+  describe('setSegmentVideo', () => {
+    it('moves the speaker along unless it was a separate name', () => {
+      const segmentation = load([{ video: 'etsy2', end: 6 }, { video: 'etsy2', speaker: 'Etsy', end: 10 }]);
+
+      segmentation.setSegmentVideo(0, 'etsy3');
+      segmentation.setSegmentVideo(1, 'etsy3');
+
+      assert.deepEqual(segmentation.toScriptEntries(), [
+        { video: 'etsy3', end: 6 },
+        { video: 'etsy3', speaker: 'Etsy', end: 10 }
+      ]);
+    });
+  });
+
+  it('refuses timing edits to per-line audio scripts', () => {
+    const segmentation = load([{ video: 'etsy2', audio: 'one.wav' }, { video: 'empress1', audio: 'two.wav' }]);
+
+    assert.throws(() => segmentation.shiftSegments(0, 1), /Can't shift a script with per-line audio/);
+    assert.throws(() => segmentation.mergeSegments(0), /Can't merge a script with per-line audio/);
+  });
+
+  describe('toScriptEntries', () => {
+    it('writes an unedited script back byte for byte', () => {
+      const entries = [
+        { speaker: 'etsy2', end: 6, text: 'One' },
+        { start: 6, video: 'empress1', end: 10, sync: true, dialogue: '' },
+        { video: 'etsy2', speaker: 'Etsy', end: 14, sync: false, motion: 'zoom', dialogue: 'Three' },
+        { video: 'empress1', start: 15, end: 16, note: 'kept as is' }
+      ];
+      const json = JSON.stringify(entries, null, 2);
+
+      assert.equal(JSON.stringify(load(JSON.parse(json)).toScriptEntries(), null, 2), json);
+    });
+
+    it('only changes what an edit touched', () => {
+      const segmentation = load([{ speaker: 'etsy2', end: 6, text: 'One' }, { video: 'empress1', end: 10, text: 'Two' }]);
+      segmentation.shiftSegments(6, 2);
+      segmentation.setSegmentVideo(0, 'etsy3');
+
+      assert.deepEqual(segmentation.toScriptEntries(), [
+        { speaker: 'etsy3', end: 8, text: 'One' },
+        { video: 'empress1', end: 12, text: 'Two' }
+      ]);
+    });
+
+    it('writes split halves in the shape of the entry they came from', () => {
+      const segmentation = load([{ speaker: 'etsy2', end: 6, text: 'One', sync: false }]);
+      segmentation.splitSegment(2, 'empress1');
+
+      assert.deepEqual(segmentation.toScriptEntries(), [
+        { speaker: 'etsy2', end: 2, text: 'One', sync: false },
+        { speaker: 'empress1', end: 6, sync: false }
+      ]);
+    });
+
+    it('writes sync only when it is false for scripts from other formats', () => {
+      const segmentation = new AudioSegmentation('episode.wav', { type: 'sequence', speakers: ['etsy2', 'empress1'], durations: [2, 3] });
+
+      assert.deepEqual(segmentation.toScriptEntries(), [{ video: 'etsy2', end: 2 }, { video: 'empress1', end: 5 }]);
+    });
+  });
+});
+
+describe('AudioSegmentation gaps', () => {
+  // A leading gap, a 2s pause and a few milliseconds of rounding that don't count
+  const GAPPY = [
+    { video: 'etsy2', start: 1, end: 6 },
+    { video: 'empress1', start: 8, end: 10 },
+    { video: 'etsy2', start: 10.02, end: 12 }
+  ];
+
+  it('finds gaps longer than the rounding tolerance', () => {
+    assert.deepEqual(load(GAPPY).gaps, [
+      { index: 0, start: 0, end: 1, duration: 1 },
+      { index: 1, start: 6, end: 8, duration: 2 }
+    ]);
+  });
+
+  it('holds the neighbouring frame with hold', () => {
+    const fillers = load(GAPPY).fillGaps('hold');
+
+    assert.deepEqual(fillers.map(f => [f.id, f.holdSegmentId, f.holdFrame, f.startTime, f.endTime]), [
+      ['gap_0', 'segment_0', 'first', 0, 1],
+      ['gap_1', 'segment_0', 'last', 6, 8]
+    ]);
+    assert.ok(fillers.every(filler => filler.type === 'gap' && filler.fill === 'hold' && filler.video === null && filler.sync === false));
+  });
+
+  it('plays the named meta video with cutaway', () => {
+    const fillers = load(GAPPY).fillGaps('cutaway', { cutaway: 'static' });
+
+    assert.deepEqual(fillers.map(filler => filler.video), ['static', 'static']);
+    assert.throws(() => load(GAPPY).fillGaps('cutaway'), /needs a cutaway meta video name/);
+  });
+
+  it('stretches the segments around each gap with extend', () => {
+    const segmentation = load(GAPPY);
+
+    assert.deepEqual(segmentation.fillGaps('extend'), []);
+    assert.deepEqual(spans(segmentation), ['segment_0 etsy2 0-8', 'segment_1 empress1 8-10', 'segment_2 etsy2 10.02-12']);
+    assert.deepEqual(segmentation.gaps, []);
+  });
+
+  it('lists the gaps with fail', () => {
+    assert.throws(() => load(GAPPY).fillGaps('fail'), /2 gap\(s\) .*: 0s - 1s before segment_0, 6s - 8s before segment_1/);
+  });
+
+  it('does nothing for a script without gaps', () => {
+    for (const policy of GAP_POLICIES) {
+      assert.deepEqual(load(SCRIPT).fillGaps(policy), []);
+    }
+    assert.throws(() => load(SCRIPT).fillGaps('silence'), /Unknown gap policy: silence/);
+  });
+});
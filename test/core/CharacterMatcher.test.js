@@ -0,0 +1,80 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { CharacterMatcher, TAKE_STRATEGIES } from '../../src/core/CharacterMatcher.js';
+
+describe('CharacterMatcher.assignTakes', () => {
+  let directory;
+  let matcher;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'characters-'));
+    for (const file of ['etsy1.mp4', 'etsy2.mp4', 'etsy3.mp4', 'empress1.mp4']) {
+      await fs.writeFile(path.join(directory, file), '');
+    }
+    await fs.writeJson(path.join(directory, 'characters.json'), {
+      characters: {
+        The_Etsy_Queen: { aliases: ['etsy'], takes: ['etsy1.mp4', 'etsy2.mp4', 'etsy3.mp4'] },
+        The_Empress: { aliases: ['empress'], takes: ['empress1.mp4'] }
+      }
+    });
+    matcher = await new CharacterMatcher(directory).initialize();
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await fs.remove(directory);
+  });
+
+  const files = (takes) => takes.map(take => take && take.filename);
+
+  it('cycles through takes in manifest order with round-robin', () => {
+    const takes = matcher.assignTakes(['etsy', 'empress', 'etsy', 'etsy', 'etsy'], { strategy: 'round-robin' });
+
+    assert.deepEqual(files(takes), ['etsy1.mp4', 'empress1.mp4', 'etsy2.mp4', 'etsy3.mp4', 'etsy1.mp4']);
+  });
+
+  it('picks the longest-unused take with least-recent', () => {
+    const takes = matcher.assignTakes(['etsy', 'etsy', 'etsy2', 'etsy', 'etsy'], { strategy: 'least-recent' });
+
+    assert.deepEqual(files(takes), ['etsy1.mp4', 'etsy2.mp4', 'etsy2.mp4', 'etsy3.mp4', 'etsy1.mp4']);
+  });
+
+  it('gives the same random picks for the same seed', () => {
+    const names = Array(12).fill('The Etsy Queen');
+    const first = files(matcher.assignTakes(names, { strategy: 'random', seed: 'episode-1' }));
+
+    assert.deepEqual(files(matcher.assignTakes(names, { strategy: 'random', seed: 'episode-1' })), first);
+    assert.notDeepEqual(files(matcher.assignTakes(names, { strategy: 'random', seed: 'episode-2' })), first);
+  });
+
+  for (const strategy of TAKE_STRATEGIES) {
+    it(`never repeats a take back to back with ${strategy}`, () => {
+      // Pinned takes (etsy2, etsy3) are kept as written, but the rotated line after one must use another take
+      const names = ['etsy', 'etsy', 'etsy2', 'etsy', 'etsy', 'empress', 'etsy', 'etsy', 'etsy', 'etsy', 'etsy3', 'etsy'];
+
+      for (const seed of ['a', 'b', 'c', 'd']) {
+        const picked = files(matcher.assignTakes(names, { strategy, seed }));
+        names.forEach((name, index) => {
+          if (name === 'etsy' && index > 0) {
+            assert.notEqual(picked[index], picked[index - 1], `${strategy} (seed ${seed}) repeated a take at line ${index}: ${picked.join(', ')}`);
+          }
+        });
+      }
+    });
+  }
+
+  it('returns single-take characters and unmatched names as findCharacter does', () => {
+    const takes = matcher.assignTakes(['empress', 'empress', 'nobody']);
+
+    assert.deepEqual(files(takes), ['empress1.mp4', 'empress1.mp4', null]);
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => matcher.assignTakes(['etsy'], { strategy: 'shuffle' }), /Unknown take rotation: shuffle/);
+  });
+});
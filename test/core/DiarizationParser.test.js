@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiarizationParser } from '../../src/core/DiarizationParser.js';
+
+function turn(speakerId, start, end, confidence = 1.0) {
+  return { speakerId, start, end, confidence };
+}
+
+function spans(timeline) {
+  return timeline.map(t => `${t.speakerId} ${t.start}-${t.end}`);
+}
+
+describe('DiarizationParser', () => {
+  describe('parseRttm', () => {
+    it('reads SPEAKER lines and ignores the rest', () => {
+      const rttm = [
+        'SPKR-INFO episode 1 <NA> <NA> <NA> unknown SPEAKER_00 <NA> <NA>',
+        'SPEAKER episode 1 0.500 2.250 <NA> <NA> SPEAKER_00 <NA> <NA>',
+        'SPEAKER episode 1 2.750 1.000 <NA> <NA> SPEAKER_01 0.82 <NA>',
+        ''
+      ].join('\n');
+
+      assert.deepEqual(DiarizationParser.parseRttm(rttm), [
+        turn('SPEAKER_00', 0.5, 2.75),
+        turn('SPEAKER_01', 2.75, 3.75, 0.82)
+      ]);
+    });
+
+    it('names the line of a malformed turn', () => {
+      assert.throws(() => DiarizationParser.parseRttm('SPEAKER episode 1 soon 2 <NA> <NA> A'), /Invalid RTTM line 1/);
+    });
+  });
+
+  describe('parseJsonTurns', () => {
+    it('accepts speaker or label and a duration instead of end', () => {
+      assert.deepEqual(DiarizationParser.parseJsonTurns([
+        { speaker: 0, start: 0, duration: 2 },
+        { label: 'B', start: 2, end: 3, confidence: 0.5 }
+      ]), [turn('0', 0, 2), turn('B', 2, 3, 0.5)]);
+    });
+
+    it('rejects turns without a speaker', () => {
+      assert.throws(() => DiarizationParser.parseJsonTurns([{ start: 0, end: 1 }]), /segment 0 needs speakerId/);
+    });
+  });
+
+  describe('buildTimeline', () => {
+    it('merges same-speaker turns across small gaps', () => {
+      const timeline = DiarizationParser.buildTimeline([
+        turn('A', 0, 2, 0.9), turn('A', 2.2, 4, 0.7), turn('B', 4, 6)
+      ]);
+
+      assert.deepEqual(spans(timeline), ['A 0-4', 'B 4-6']);
+      assert.equal(timeline[0].confidence, 0.7);
+    });
+
+    it('closes small gaps between speakers and keeps larger ones', () => {
+      const timeline = DiarizationParser.buildTimeline([turn('A', 0, 2), turn('B', 2.2, 4), turn('A', 5, 7)]);
+
+      assert.deepEqual(spans(timeline), ['A 0-2.2', 'B 2.2-4', 'A 5-7']);
+    });
+
+    it('gives overlapping speech to the earlier turn', () => {
+      assert.deepEqual(spans(DiarizationParser.buildTimeline([turn('A', 0, 3), turn('B', 2, 5)])), ['A 0-3', 'B 3-5']);
+      assert.deepEqual(spans(DiarizationParser.buildTimeline([turn('A', 0, 5), turn('B', 1, 2)])), ['A 0-5']);
+    });
+
+    it('absorbs a short turn into the previous one and merges the run it closes', () => {
+      const timeline = DiarizationParser.buildTimeline([turn('A', 0, 3), turn('B', 3, 3.5), turn('A', 3.5, 6)]);
+
+      assert.deepEqual(spans(timeline), ['A 0-6']);
+    });
+
+    it('absorbs a short first turn into the next one', () => {
+      const timeline = DiarizationParser.buildTimeline([turn('B', 0, 0.5), turn('A', 0.5, 3)]);
+
+      assert.deepEqual(spans(timeline), ['A 0-3']);
+    });
+
+    it('absorbs the shortest turn first so it cannot hide a neighbour', () => {
+      const timeline = DiarizationParser.buildTimeline([
+        turn('A', 0, 3), turn('B', 3, 3.6), turn('C', 3.6, 3.9), turn('D', 3.9, 7)
+      ]);
+
+      // C (0.3s) goes into B, which is then long enough to keep
+      assert.deepEqual(spans(timeline), ['A 0-3', 'B 3-3.9', 'D 3.9-7']);
+    });
+
+    it('drops short turns with shortSegments: drop', () => {
+      const timeline = DiarizationParser.buildTimeline(
+        [turn('A', 0, 3), turn('B', 3, 3.5), turn('C', 3.5, 6)],
+        { shortSegments: 'drop' }
+      );
+
+      assert.deepEqual(spans(timeline), ['A 0-3', 'C 3.5-6']);
+    });
+
+    it('uses the defaults for options left undefined', () => {
+      const timeline = DiarizationParser.buildTimeline([turn('A', 0, 2), turn('A', 2.2, 4)], { mergeGap: undefined });
+
+      assert.deepEqual(spans(timeline), ['A 0-4']);
+    });
+
+    it('rounds times to milliseconds', () => {
+      const timeline = DiarizationParser.buildTimeline([turn('A', 0.1 + 0.2, 2.0004)]);
+
+      assert.deepEqual(spans(timeline), ['A 0.3-2']);
+    });
+
+    it('rejects unknown short segment policies', () => {
+      assert.throws(() => DiarizationParser.buildTimeline([], { shortSegments: 'keep' }), /Unknown shortSegments policy: keep/);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScreenplayFormat } from '../../src/core/ScreenplayFormat.js';
+
+const SCREENPLAY = `[INTRO intro 0+1.5 clip 0+1.5]
+[CUTAWAY intro 10-12 clip 1+2 @exclude]
+[OUTRO outro last 2 clip 3+2]
+
+ETSY2 [6]: The way this betch thinks she can manifest a brownstone...
+EMPRESS1 [13]: Blind child dreams of grand estates...
+ETSY2 [13-20] @nosync @zoom: Cut to her without lip-sync
+EMPRESS1 [lines/empress_04.wav]: A line with its own audio file
+ETSY2 [+2.5]:
+`;
+
+describe('ScreenplayFormat', () => {
+  describe('parse', () => {
+    it('reads dialogue lines with end, range, audio and duration times', () => {
+      const script = ScreenplayFormat.parse(SCREENPLAY);
+
+      assert.deepEqual(script.dialogue, [
+        { video: 'ETSY2', end: 6, sync: true, dialogue: 'The way this betch thinks she can manifest a brownstone...' },
+        { video: 'EMPRESS1', end: 13, sync: true, dialogue: 'Blind child dreams of grand estates...' },
+        { video: 'ETSY2', start: 13, end: 20, sync: false, motion: 'zoom', dialogue: 'Cut to her without lip-sync' },
+        { video: 'EMPRESS1', audio: 'lines/empress_04.wav', sync: true, dialogue: 'A line with its own audio file' },
+        { video: 'ETSY2', duration: 2.5, sync: true, dialogue: '' }
+      ]);
+    });
+
+    it('reads meta directives with timing, clip ranges and @exclude', () => {
+      const script = ScreenplayFormat.parse(SCREENPLAY);
+
+      assert.deepEqual(script.meta, [
+        { type: 'intro', name: 'intro', include: true, timing: { start: 0, duration: 1.5 }, clip: { start: 0, duration: 1.5 } },
+        { type: 'cutaway', name: 'intro', include: false, timing: { start: 10, end: 12 }, clip: { start: 1, duration: 2 } },
+        { type: 'outro', name: 'outro', include: true, timing: { fromEnd: 2 }, clip: { start: 3, duration: 2 } }
+      ]);
+    });
+
+    it('joins indented lines onto the previous dialogue and skips comments', () => {
+      const script = ScreenplayFormat.parse('# A comment\nETSY2 [6]: First half\n    second half\n');
+
+      assert.equal(script.dialogue.length, 1);
+      assert.equal(script.dialogue[0].dialogue, 'First half second half');
+    });
+
+    it('keeps the source line of each entry', () => {
+      const script = ScreenplayFormat.parse(SCREENPLAY);
+
+      assert.deepEqual(script.sourceLines, { meta: [1, 2, 3], dialogue: [5, 6, 7, 8, 9] });
+    });
+
+    it('names the line of a parse error', () => {
+      assert.throws(() => ScreenplayFormat.parse('ETSY2 [6]: fine\nETSY2 [soon]: broken\n'), /^Error: Line 2: Invalid time "\[soon\]"/);
+      assert.throws(() => ScreenplayFormat.parse('ETSY2 [6] @loud: x\n'), /Line 1: Unknown marker @loud/);
+      assert.throws(() => ScreenplayFormat.parse('[BUMPER x]\n'), /Line 1: Invalid directive/);
+    });
+  });
+
+  describe('round trips', () => {
+    it('writes parsed text back unchanged', () => {
+      const { text, warnings } = ScreenplayFormat.stringify(ScreenplayFormat.parse(SCREENPLAY));
+
+      assert.equal(text, SCREENPLAY);
+      assert.deepEqual(warnings, []);
+    });
+
+    it('parses stringified JSON back to the same script', () => {
+      const script = {
+        meta: [
+          { type: 'overlay', name: 'logo', include: true, timing: { start: 2, offset: 0.5 }, clip: { end: 4 }, position: 'overlay' }
+        ],
+        dialogue: [
+          { video: 'etsy2', start: 0, end: 6, sync: true, dialogue: 'One' },
+          { video: 'empress1', end: 8.25, sync: false, motion: 'pan', dialogue: 'Two' }
+        ]
+      };
+
+      const { text } = ScreenplayFormat.stringify(script);
+      assert.deepEqual(ScreenplayFormat.parse(text), script);
+    });
+
+    it('warns about speakers that differ from the video', () => {
+      const { text, warnings } = ScreenplayFormat.stringify([{ video: 'etsy2', speaker: 'Etsy', end: 3, dialogue: 'Hi' }]);
+
+      assert.equal(text, 'etsy2 [3]: Hi\n');
+      assert.deepEqual(warnings, ['Entry 0: speaker "Etsy" dropped - screenplay lines only name the video']);
+    });
+
+    it('refuses sequence scripts', () => {
+      assert.throws(() => ScreenplayFormat.stringify({ type: 'sequence', speakers: [], durations: [] }), /Only timestamp scripts/);
+    });
+  });
+});
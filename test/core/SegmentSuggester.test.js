@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SegmentSuggester } from '../../src/core/SegmentSuggester.js';
+
+// Lead-in, two pauses close together, one more pause, and a trailing pause still open at the end
+const SILENCES = [
+  { start: 0, end: 0.3 },
+  { start: 2, end: 2.4 },
+  { start: 2.6, end: 2.8 },
+  { start: 6, end: 6.5 },
+  { start: 9.8 }
+];
+
+describe('SegmentSuggester', () => {
+  it('cuts in the middle of pauses away from the edges', () => {
+    assert.deepEqual(new SegmentSuggester().getCutPoints(SILENCES, 10), [2.2, 2.7, 6.25]);
+  });
+
+  it('drafts segments no shorter than minSegment', () => {
+    const draft = new SegmentSuggester({ placeholder: 'ETSY2' }).createDraft(SILENCES, 10);
+
+    assert.deepEqual(draft, [
+      { video: 'ETSY2', start: 0, end: 2.2, dialogue: '' },
+      { video: 'ETSY2', start: 2.2, end: 6.25, dialogue: '' },
+      { video: 'ETSY2', start: 6.25, end: 10, dialogue: '' }
+    ]);
+  });
+
+  it('drops a last cut that would leave a short final segment', () => {
+    const draft = new SegmentSuggester({ minSegment: 4 }).createDraft(SILENCES, 10);
+
+    assert.deepEqual(draft.map(entry => [entry.start, entry.end]), [[0, 10]]);
+  });
+
+  it('snaps boundaries to the nearest pause and keeps glued starts together', () => {
+    const entries = [
+      { video: 'etsy2', start: 0, end: 2, dialogue: 'One' },
+      { video: 'empress1', start: 2, end: 6 },
+      { video: 'etsy2', end: 8 }
+    ];
+
+    const { entries: snapped, changes, unsnapped } = new SegmentSuggester().snapScript(entries, SILENCES, 10);
+
+    assert.deepEqual(snapped, [
+      { video: 'etsy2', start: 0, end: 2.2, dialogue: 'One' },
+      { video: 'empress1', start: 2.2, end: 6.25 },
+      { video: 'etsy2', end: 8 }
+    ]);
+    assert.deepEqual(changes, [
+      { index: 0, field: 'end', from: 2, to: 2.2 },
+      { index: 1, field: 'start', from: 2, to: 2.2 },
+      { index: 1, field: 'end', from: 6, to: 6.25 }
+    ]);
+    assert.deepEqual(unsnapped, [{ index: 2, field: 'end', time: 8 }]);
+    assert.equal(entries[0].end, 2, 'the original entries are left alone');
+  });
+});
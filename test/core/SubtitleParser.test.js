@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SubtitleParser } from '../../src/core/SubtitleParser.js';
+
+describe('SubtitleParser', () => {
+  it('reads SRT cues with a speaker prefix', () => {
+    const srt = [
+      '1',
+      '00:00:00,000 --> 00:00:06,000',
+      'ETSY2: The way this betch thinks',
+      'she can manifest a brownstone...',
+      '',
+      '2',
+      '00:00:06,000 --> 00:00:13,500',
+      '{\\an8}<i>Blind child dreams of grand estates</i>',
+      ''
+    ].join('\r\n');
+
+    assert.deepEqual(SubtitleParser.parse(srt), [
+      { number: 1, start: 0, end: 6, speaker: 'ETSY2', text: 'The way this betch thinks she can manifest a brownstone...' },
+      { number: 2, start: 6, end: 13.5, speaker: null, text: 'Blind child dreams of grand estates' }
+    ]);
+  });
+
+  it('reads WebVTT voice tags and skips NOTE blocks and cue identifiers', () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      'NOTE exported from the edit',
+      '',
+      'intro',
+      '00:01.250 --> 00:04.000',
+      '<v.loud The Empress>Blind child dreams</v>',
+      '',
+      '01:00:00.000 --> 01:00:02.000',
+      'The Etsy Queen: Manifesting',
+      ''
+    ].join('\n');
+
+    assert.deepEqual(SubtitleParser.parse(vtt), [
+      { number: 1, start: 1.25, end: 4, speaker: 'The Empress', text: 'Blind child dreams' },
+      { number: 2, start: 3600, end: 3602, speaker: 'The Etsy Queen', text: 'Manifesting' }
+    ]);
+  });
+
+  it('does not take a colon in ordinary speech for a speaker', () => {
+    assert.deepEqual(SubtitleParser.parseCueText(['I think: no']), { speaker: null, text: 'I think: no' });
+  });
+
+  it('rejects cues without a timing line', () => {
+    assert.throws(() => SubtitleParser.parse('1\nHello there\n'), /Invalid SRT cue near "1": missing "start --> end" timing line/);
+  });
+
+  it('parses timestamps with either decimal separator', () => {
+    assert.equal(SubtitleParser.parseTimestamp('01:02:03,456'), 3723.456);
+    assert.equal(SubtitleParser.parseTimestamp('02:03.4'), 123.4);
+  });
+});
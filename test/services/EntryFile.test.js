@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { EntryFile } from '../../src/services/EntryFile.js';
+
+describe('EntryFile', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'entry-file-'));
+    filePath = path.join(directory, 'nested', 'entries.json');
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(directory);
+  });
+
+  it('writes entries with a version and reads them back', async () => {
+    await new EntryFile(filePath, 'upload ledger').write([{ id: 1 }]);
+
+    assert.deepEqual(await fs.readJson(filePath), { version: 1, entries: [{ id: 1 }] });
+    assert.deepEqual(await new EntryFile(filePath, 'upload ledger').read(), [{ id: 1 }]);
+  });
+
+  it('reads a missing file as empty and warns about an unreadable one', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    assert.deepEqual(await new EntryFile(filePath, 'upload ledger').read(), []);
+
+    await fs.outputFile(filePath, '{ "entries": [');
+    assert.deepEqual(await new EntryFile(filePath, 'upload ledger').read(), []);
+    assert.match(warn.mock.calls[0].arguments[0], /Could not read upload ledger .*entries\.json/);
+  });
+
+  it('applies concurrent writes in order and leaves no temp file', async () => {
+    const file = new EntryFile(filePath, 'generation journal');
+
+    await Promise.all([1, 2, 3, 4, 5].map(count => file.write(Array.from({ length: count }, (_, id) => ({ id })))));
+
+    assert.equal((await file.read()).length, 5);
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['entries.json']);
+  });
+
+  it('waits for queued writes before removing the file', async () => {
+    const file = new EntryFile(filePath, 'generation journal');
+
+    file.write([{ id: 1 }]);
+    await file.remove();
+
+    assert.equal(await fs.pathExists(filePath), false);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { GenerationJournal } from '../../src/services/GenerationJournal.js';
+
+const HASHES = { video: 'v1', audio: 'a1', options: 'o1' };
+
+describe('GenerationJournal', () => {
+  let directory;
+  let journalPath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-'));
+    journalPath = path.join(directory, 'temp', 'generation-journal.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  it('finds a recorded generation by segment, provider and input hashes after reloading', async () => {
+    const journal = await new GenerationJournal(journalPath).load();
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-1', inputHashes: HASHES });
+    await journal.update('gen-1', { status: 'PROCESSING' });
+
+    const reloaded = await new GenerationJournal(journalPath).load();
+    const entry = reloaded.findGeneration('segment_0', 'sync', { ...HASHES });
+
+    assert.equal(entry.generationId, 'gen-1');
+    assert.equal(entry.status, 'PROCESSING');
+    assert.equal(reloaded.findGeneration('segment_1', 'sync', HASHES), null);
+    assert.equal(reloaded.findGeneration('segment_0', 'mock', HASHES), null);
+  });
+
+  it('does not match when any input hash changed', async () => {
+    const journal = await new GenerationJournal(journalPath).load();
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-1', inputHashes: HASHES });
+
+    for (const changed of [{ video: 'v2' }, { audio: 'a2' }, { options: 'o2' }]) {
+      assert.equal(journal.findGeneration('segment_0', 'sync', { ...HASHES, ...changed }), null, JSON.stringify(changed));
+    }
+  });
+
+  it('returns the most recent generation for a segment', async () => {
+    const journal = await new GenerationJournal(journalPath).load();
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-1', inputHashes: HASHES });
+    await journal.update('gen-1', { status: 'FAILED', error: 'bad audio' });
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-2', inputHashes: HASHES });
+
+    assert.equal(journal.findGeneration('segment_0', 'sync', HASHES).generationId, 'gen-2');
+  });
+
+  it('skips entries without input hashes', async () => {
+    const journal = await new GenerationJournal(journalPath).load();
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-1', inputHashes: null });
+
+    assert.equal(journal.findGeneration('segment_0', 'sync', HASHES), null);
+    assert.equal(journal.findGeneration('segment_0', 'sync', null), null);
+  });
+
+  it('removes the file when cleared', async () => {
+    const journal = await new GenerationJournal(journalPath).load();
+    await journal.record({ segmentId: 'segment_0', provider: 'sync', generationId: 'gen-1', inputHashes: HASHES });
+
+    await journal.clear();
+
+    assert.equal(await fs.pathExists(journalPath), false);
+    assert.deepEqual((await new GenerationJournal(journalPath).load()).entries, []);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JobScheduler } from '../../src/services/JobScheduler.js';
+import { RetryPolicy } from '../../src/services/RetryPolicy.js';
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobScheduler', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('never has more than `concurrency` jobs in flight', async () => {
+    const scheduler = new JobScheduler({ concurrency: 2 });
+    let running = 0;
+    let mostRunning = 0;
+
+    const results = await Promise.all([5, 1, 3, 1, 2, 4].map((ms, index) => scheduler.run(async () => {
+      mostRunning = Math.max(mostRunning, ++running);
+      await sleep(ms);
+      running--;
+      return index;
+    })));
+
+    assert.equal(mostRunning, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('starts the next job as soon as a slot frees, whether the job succeeded or failed', async () => {
+    const scheduler = new JobScheduler({ concurrency: 2 });
+    const jobs = [deferred(), deferred(), deferred(), deferred()];
+    const started = [];
+    const runs = jobs.map((job, index) => scheduler.run(() => {
+      started.push(index);
+      return job.promise;
+    }));
+    const failure = assert.rejects(runs[1], /upload failed/);
+
+    await settle();
+    assert.deepEqual(started, [0, 1]);
+
+    jobs[1].reject(new Error('upload failed'));
+    await settle();
+    assert.deepEqual(started, [0, 1, 2]);
+
+    jobs[0].resolve('first');
+    await settle();
+    assert.deepEqual(started, [0, 1, 2, 3]);
+
+    jobs[2].resolve();
+    jobs[3].resolve();
+    assert.equal(await runs[0], 'first');
+    await failure;
+  });
+
+  it('holds new starts for the backOff delay and gives up a slot', async () => {
+    const scheduler = new JobScheduler({ concurrency: 2 });
+
+    scheduler.backOff(60);
+    const queuedAt = Date.now();
+    let running = 0;
+    let mostRunning = 0;
+    const startTimes = await Promise.all([0, 1].map(() => scheduler.run(async () => {
+      mostRunning = Math.max(mostRunning, ++running);
+      const startedAt = Date.now();
+      await sleep(1);
+      running--;
+      return startedAt;
+    })));
+
+    assert.ok(Math.min(...startTimes) - queuedAt >= 55, `started after ${Math.min(...startTimes) - queuedAt}ms`);
+    assert.equal(mostRunning, 1);
+    assert.equal(scheduler.limit, 1);
+  });
+
+  it('regains the slot after recoverAfter successful jobs', async () => {
+    const scheduler = new JobScheduler({ concurrency: 2, recoverAfter: 2 });
+    scheduler.backOff(0);
+
+    await scheduler.run(async () => {});
+    assert.equal(scheduler.limit, 1);
+    await scheduler.run(async () => {});
+    assert.equal(scheduler.limit, 2);
+  });
+
+  it('backs off when a job retries a rate limit', async () => {
+    // Wired as LipSyncProvider.generateBatch does
+    const scheduler = new JobScheduler({ concurrency: 3 });
+    const policy = new RetryPolicy({ retryBaseDelay: 1 });
+    const backOff = mock.method(scheduler, 'backOff');
+    const stopListening = policy.onRateLimit(delay => scheduler.backOff(delay));
+
+    const rateLimited = new Error('Too Many Requests');
+    rateLimited.response = { status: 429, headers: { 'retry-after': '0.02' } };
+
+    await scheduler.run(() => policy.run('creating Sync generation', async (attempt) => {
+      if (attempt === 0) throw rateLimited;
+    }));
+    stopListening();
+
+    assert.deepEqual(backOff.mock.calls.map(call => call.arguments), [[20]]);
+    assert.equal(scheduler.limit, 2);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { LipSyncCache } from '../../src/services/LipSyncCache.js';
+import { hashGenerationInputs } from '../../src/services/ContentHash.js';
+
+describe('LipSyncCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lipsync-cache-'));
+    cache = new LipSyncCache(path.join(directory, 'cache'));
+    await fs.writeFile(path.join(directory, 'clip.mp4'), 'clip');
+    await fs.writeFile(path.join(directory, 'line.wav'), 'line');
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  const hashes = (settings) => hashGenerationInputs(path.join(directory, 'clip.mp4'), path.join(directory, 'line.wav'), settings);
+
+  it('keys on the provider and the generation settings, not their order', async () => {
+    const settings = { model: 'lipsync-2', syncMode: 'cut_off' };
+    const key = cache.keyFor('sync', await hashes(settings));
+
+    assert.equal(cache.keyFor('sync', await hashes({ syncMode: 'cut_off', model: 'lipsync-2' })), key);
+    assert.notEqual(cache.keyFor('mock', await hashes(settings)), key);
+    assert.notEqual(cache.keyFor('sync', await hashes({ ...settings, model: 'lipsync-1.9.0-beta' })), key);
+    assert.notEqual(cache.keyFor('sync', await hashes({ ...settings, syncMode: 'bounce' })), key);
+  });
+
+  it('keys on the content of the inputs, not their paths', async () => {
+    const key = cache.keyFor('sync', await hashes({}));
+    await fs.copy(path.join(directory, 'clip.mp4'), path.join(directory, 'copy.mp4'));
+
+    const copied = await hashGenerationInputs(path.join(directory, 'copy.mp4'), path.join(directory, 'line.wav'), {});
+    assert.equal(cache.keyFor('sync', copied), key);
+
+    await fs.writeFile(path.join(directory, 'line.wav'), 'another line');
+    assert.notEqual(cache.keyFor('sync', await hashes({})), key);
+  });
+
+  it('misses until a result is put, then returns a copy with its metadata', async () => {
+    const key = cache.keyFor('sync', await hashes({}));
+    assert.equal(await cache.get(key), null);
+
+    const result = path.join(directory, 'segment_0_etsy2.mp4');
+    await fs.writeFile(result, 'lip-synced');
+    await cache.put(key, result, { provider: 'sync', generationId: 'gen-1' });
+    await fs.remove(result);
+
+    const cached = await cache.get(key);
+    assert.equal(await fs.readFile(cached.videoPath, 'utf8'), 'lip-synced');
+    assert.equal(cached.metadata.generationId, 'gen-1');
+    assert.ok(cached.metadata.cachedAt);
+    assert.deepEqual((await fs.readdir(cache.cacheDirectory)).sort(), [`${key}.json`, `${key}.mp4`]);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RetryPolicy } from '../../src/services/RetryPolicy.js';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(`connect ${code}`);
+  error.code = code;
+  return error;
+}
+
+describe('RetryPolicy', () => {
+  before(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('classify', () => {
+    it('retries rate limits, server errors and network failures', () => {
+      for (const error of [httpError(429), httpError(503), httpError(408), networkError('ECONNRESET'), networkError('ETIMEDOUT')]) {
+        assert.equal(RetryPolicy.classify(error), 'transient', error.message);
+      }
+    });
+
+    it('does not retry client errors, failed generations or unknown errors', () => {
+      for (const error of [httpError(400), httpError(401), httpError(404), RetryPolicy.permanent('Generation g1 failed'), new TypeError('x is undefined')]) {
+        assert.equal(RetryPolicy.classify(error), 'permanent', error.message);
+      }
+    });
+
+    it('follows the cause chain and respects an explicit retryable flag', () => {
+      assert.equal(RetryPolicy.classify(new Error('Upload failed', { cause: httpError(502) })), 'transient');
+      assert.equal(RetryPolicy.classify(RetryPolicy.permanent('Stop', httpError(503))), 'permanent');
+      assert.equal(RetryPolicy.getStatus(new Error('wrapped', { cause: { statusCode: 500 } })), 500);
+    });
+  });
+
+  describe('wasNeverSent', () => {
+    it('is true only when the request cannot have been processed', () => {
+      assert.equal(RetryPolicy.wasNeverSent(httpError(429)), true);
+      assert.equal(RetryPolicy.wasNeverSent(new Error('create failed', { cause: networkError('ECONNREFUSED') })), true);
+      assert.equal(RetryPolicy.wasNeverSent(networkError('EAI_AGAIN')), true);
+
+      assert.equal(RetryPolicy.wasNeverSent(httpError(502)), false);
+      assert.equal(RetryPolicy.wasNeverSent(networkError('ECONNRESET')), false);
+      assert.equal(RetryPolicy.wasNeverSent(networkError('ETIMEDOUT')), false);
+    });
+  });
+
+  describe('getDelay', () => {
+    it('backs off exponentially with equal jitter, capped at retryMaxDelay', () => {
+      const policy = new RetryPolicy({ retryBaseDelay: 1000, retryMaxDelay: 5000 });
+
+      mock.method(Math, 'random', () => 0);
+      assert.deepEqual([0, 1, 2, 3].map(attempt => policy.getDelay(attempt)), [500, 1000, 2000, 2500]);
+      Math.random.mock.mockImplementation(() => 0.999999);
+      assert.deepEqual([0, 1, 2, 3].map(attempt => policy.getDelay(attempt)), [1000, 2000, 4000, 5000]);
+      Math.random.mock.restore();
+    });
+
+    it('waits as long as Retry-After asks, up to retryMaxDelay', () => {
+      const policy = new RetryPolicy({ retryMaxDelay: 5000 });
+
+      assert.equal(policy.getDelay(0, httpError(429, { 'retry-after': '2' })), 2000);
+      assert.equal(policy.getDelay(0, httpError(429, { 'retry-after': '60' })), 5000);
+      assert.equal(policy.getDelay(0, httpError(429, new Map([['retry-after', '3']]))), 3000);
+    });
+
+    it('has no side effects', () => {
+      const policy = new RetryPolicy();
+      const listener = mock.fn();
+      policy.onRateLimit(listener);
+
+      policy.getDelay(0, httpError(429));
+
+      assert.equal(listener.mock.callCount(), 0);
+    });
+  });
+
+  describe('run', () => {
+    it('retries transient failures and returns the first success', async () => {
+      const policy = new RetryPolicy({ retryBaseDelay: 1 });
+      const operation = mock.fn(async (attempt) => {
+        if (attempt < 2) throw httpError(503);
+        return 'done';
+      });
+
+      assert.equal(await policy.run('uploading clip', operation), 'done');
+      assert.equal(operation.mock.callCount(), 3);
+    });
+
+    it('gives up at once on a permanent error', async () => {
+      const policy = new RetryPolicy({ retryBaseDelay: 1 });
+      const operation = mock.fn(async () => { throw httpError(400); });
+
+      await assert.rejects(policy.run('creating Sync generation', operation), (error) => {
+        assert.equal(error.message, 'Gave up on creating Sync generation after 1 attempt (permanent error) - HTTP 400: Request failed with status code 400');
+        assert.equal(error.retryable, false);
+        assert.equal(error.cause.response.status, 400);
+        return true;
+      });
+      assert.equal(operation.mock.callCount(), 1);
+    });
+
+    it('gives up after maxRetries retries', async () => {
+      const policy = new RetryPolicy({ maxRetries: 2, retryBaseDelay: 1 });
+      const operation = mock.fn(async () => { throw networkError('ECONNRESET'); });
+
+      await assert.rejects(
+        policy.run('polling', operation),
+        /^Error: Gave up on polling after 3 attempts \(still failing after 2 retries\) - ECONNRESET: connect ECONNRESET$/
+      );
+      assert.equal(operation.mock.callCount(), 3);
+    });
+
+    it('tells rate-limit listeners about each 429 it backs off from', async () => {
+      const policy = new RetryPolicy({ retryBaseDelay: 1 });
+      const listener = mock.fn();
+      const stopListening = policy.onRateLimit(listener);
+      const errors = [httpError(429, { 'retry-after': '0.005' }), httpError(503)];
+
+      await policy.run('creating Sync generation', async (attempt) => {
+        if (attempt < errors.length) throw errors[attempt];
+        return 'done';
+      });
+      stopListening();
+      await policy.run('again', async (attempt) => {
+        if (attempt === 0) throw httpError(429);
+      });
+
+      assert.deepEqual(listener.mock.calls.map(call => call.arguments), [[5]]);
+    });
+  });
+
+  it('defaults to a five minute generation timeout', () => {
+    assert.equal(new RetryPolicy().timeout, 300000);
+  });
+});
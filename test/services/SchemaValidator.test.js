@@ -0,0 +1,53 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+
+import { SchemaValidator } from '../../src/services/SchemaValidator.js';
+
+describe('SchemaValidator', () => {
+  let validator;
+
+  before(async () => {
+    validator = new SchemaValidator(await fs.readJson('config/script.schema.json'));
+  });
+
+  it('accepts a valid dialogue script', () => {
+    assert.deepEqual(validator.validate([{ video: 'etsy2', end: 6, dialogue: 'Hi' }]), []);
+  });
+
+  it('suggests the property an unknown one was probably meant to be', () => {
+    assert.deepEqual(validator.validate([{ video: 'etsy2', ned: 6 }]), [
+      { path: '$[0]', message: 'missing required property "end" or "audio" or "duration"' },
+      { path: '$[0].ned', message: 'unknown property (did you mean "end"?)' }
+    ]);
+  });
+
+  it('reports alternative required properties as one problem', () => {
+    assert.deepEqual(validator.validate([{ end: 6 }]), [
+      { path: '$[0]', message: 'missing required property "video" or "speaker"' }
+    ]);
+  });
+
+  it('lists the allowed values of an enum', () => {
+    assert.deepEqual(validator.validate([{ video: 'a', end: 1, motion: 'spin' }]), [
+      { path: '$[0].motion', message: 'must be one of "none", "zoom", "pan" (got "spin")' }
+    ]);
+  });
+
+  it('reports limits with the value that broke them', () => {
+    assert.deepEqual(validator.validate([]), [{ path: '$', message: 'must have at least 1 item' }]);
+    assert.deepEqual(validator.validate([{ video: 'a', end: -1 }]), [{ path: '$[0].end', message: 'must be >= 0 (got -1)' }]);
+  });
+
+  it('explains an object script against the { meta, dialogue } form', () => {
+    const script = { meta: [{ type: 'bumper', name: 'x' }], dialogue: [{ video: 'a', end: 1 }] };
+
+    assert.deepEqual(validator.validate(script), [
+      { path: '$.meta[0].type', message: 'must be one of "intro", "outro", "cutaway", "overlay" (got "bumper")' }
+    ]);
+  });
+
+  it('names the type it got for a value of the wrong type', () => {
+    assert.deepEqual(validator.validate('hello'), [{ path: '$', message: 'must be array (got string)' }]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { TokenStore } from '../../src/services/TokenStore.js';
+import { DropboxOAuth } from '../../src/services/DropboxOAuth.js';
+
+const TOKENS = { access_token: 'sl.abc', refresh_token: 'refresh-123', expires_at: Date.now() + 3600 * 1000 };
+
+describe('TokenStore', () => {
+  let directory;
+  let filePath;
+  let legacyPath;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tokens-'));
+    filePath = path.join(directory, 'config', 'dropbox-tokens.enc.json');
+    legacyPath = path.join(directory, '.dropbox-tokens.json');
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(directory);
+  });
+
+  it('encrypts tokens and reads them back', async () => {
+    await new TokenStore({ filePath, passphrase: 'correct horse' }).save(TOKENS);
+
+    const sealed = await fs.readFile(filePath, 'utf8');
+    assert.doesNotMatch(sealed, /sl\.abc|refresh-123/);
+    assert.equal((await fs.stat(filePath)).mode & 0o777, 0o600);
+    assert.deepEqual(await new TokenStore({ filePath, passphrase: 'correct horse' }).load(), TOKENS);
+  });
+
+  it('uses the contents of a key file as the key', async () => {
+    const keyFile = path.join(directory, 'token.key');
+    await fs.writeFile(keyFile, 'a long random key');
+
+    await new TokenStore({ filePath, keyFile }).save(TOKENS);
+
+    assert.deepEqual(await new TokenStore({ filePath, keyFile }).load(), TOKENS);
+    await assert.rejects(new TokenStore({ filePath, passphrase: 'a long random key!' }).load(), /Could not decrypt/);
+  });
+
+  it('refuses to decrypt with the wrong key', async () => {
+    await new TokenStore({ filePath, passphrase: 'correct horse' }).save(TOKENS);
+
+    await assert.rejects(
+      new TokenStore({ filePath, passphrase: 'battery staple' }).load(),
+      /^Error: Could not decrypt .*dropbox-tokens\.enc\.json - wrong passphrase or key file\?$/
+    );
+  });
+
+  it('needs a key to save or load', async () => {
+    const store = new TokenStore({ filePath });
+    store.passphrase = null;
+    store.keyFile = null;
+
+    assert.equal(store.hasKey(), false);
+    await assert.rejects(store.save(TOKENS), /No token encryption key/);
+  });
+
+  it('moves plain-text legacy tokens into encrypted storage on first load', async () => {
+    await fs.writeJson(legacyPath, TOKENS);
+    const store = new TokenStore({ filePath, passphrase: 'correct horse', legacyPath });
+
+    assert.equal(await store.exists(), true);
+    assert.deepEqual(await store.load(), TOKENS);
+
+    assert.equal(await fs.pathExists(legacyPath), false);
+    assert.deepEqual(await new TokenStore({ filePath, passphrase: 'correct horse' }).load(), TOKENS);
+  });
+
+  it('returns null when nothing is stored and clears both files', async () => {
+    const store = new TokenStore({ filePath, passphrase: 'correct horse', legacyPath });
+    assert.equal(await store.load(), null);
+
+    await store.save(TOKENS);
+    await fs.writeJson(legacyPath, TOKENS);
+    await store.clear();
+
+    assert.equal(await store.exists(), false);
+  });
+
+  describe('DropboxOAuth.hasValidTokens', () => {
+    function oauthWith(store) {
+      const oauth = new DropboxOAuth('client-id', 'client-secret');
+      oauth.tokenStore = store;
+      return oauth;
+    }
+
+    it('is false only when nothing is stored', async () => {
+      assert.equal(await oauthWith(new TokenStore({ filePath, passphrase: 'correct horse', legacyPath })).hasValidTokens(), false);
+
+      await new TokenStore({ filePath, passphrase: 'correct horse' }).save(TOKENS);
+      assert.equal(await oauthWith(new TokenStore({ filePath, passphrase: 'correct horse' })).hasValidTokens(), true);
+    });
+
+    it('fails instead of reporting "not linked" when stored tokens cannot be read', async () => {
+      await new TokenStore({ filePath, passphrase: 'correct horse' }).save(TOKENS);
+
+      await assert.rejects(
+        oauthWith(new TokenStore({ filePath, passphrase: 'battery staple' })).hasValidTokens(),
+        /wrong passphrase or key file\? Use the key the tokens were saved with/
+      );
+
+      const keyless = new TokenStore({ filePath });
+      keyless.passphrase = null;
+      keyless.keyFile = null;
+      await assert.rejects(oauthWith(keyless).hasValidTokens(), /stored but no key to read them is set/);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { UploadLedger } from '../../src/services/UploadLedger.js';
+
+describe('UploadLedger', () => {
+  let directory;
+  let ledgerPath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+    ledgerPath = path.join(directory, 'upload-ledger.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  it('keeps uploads across runs until they are removed', async () => {
+    const ledger = await new UploadLedger(ledgerPath).load();
+    await ledger.add({ backend: 'dropbox', remotePath: '/sync-temp/a.mp4', localPath: 'a.mp4', size: 10 });
+    await ledger.add({ backend: 'dropbox', remotePath: '/sync-temp/b.wav', localPath: 'b.wav', size: 5 });
+    await ledger.add({ backend: 's3', remotePath: 'sync-temp/a.mp4', localPath: 'a.mp4', size: 10 });
+
+    const reloaded = await new UploadLedger(ledgerPath).load();
+    assert.deepEqual(reloaded.getEntries('dropbox').map(entry => entry.remotePath), ['/sync-temp/a.mp4', '/sync-temp/b.wav']);
+    assert.ok(reloaded.getEntries('s3')[0].uploadedAt);
+
+    await reloaded.remove('dropbox', ['/sync-temp/a.mp4', 'sync-temp/a.mp4']);
+
+    const after = await new UploadLedger(ledgerPath).load();
+    assert.deepEqual(after.entries.map(entry => `${entry.backend} ${entry.remotePath}`), ['dropbox /sync-temp/b.wav', 's3 sync-temp/a.mp4']);
+  });
+
+  it('does not rewrite the file when nothing was removed', async () => {
+    const ledger = await new UploadLedger(ledgerPath).load();
+    await ledger.remove('dropbox', ['/sync-temp/a.mp4']);
+
+    assert.equal(await fs.pathExists(ledgerPath), false);
+  });
+});